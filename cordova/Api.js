@@ -30,7 +30,11 @@ var PlatformMunger = require('cordova-common').ConfigChanges.PlatformMunger;
 var PluginInfoProvider = require('cordova-common').PluginInfoProvider;
 
 var ConsoleLogger = require('./lib/ConsoleLogger');
+var PluginJournal = require('./lib/PluginJournal');
+var FileOwners = require('./lib/FileOwners');
 var pluginHandlers = require('./lib/pluginHandlers');
+var hooks = require('./lib/hooks');
+var Cancellation = require('./lib/Cancellation');
 
 var PLATFORM = 'android';
 
@@ -55,6 +59,15 @@ function Api(platform, platformRootDir, events) {
     this._platformJson = PlatformJson.load(this.root, platform);
     this._pluginInfoProvider = new PluginInfoProvider();
     this._munger = new PlatformMunger(this.platform, this.root, this._platformJson, this._pluginInfoProvider);
+    this._journal = new PluginJournal(this.root);
+    this._fileOwners = new FileOwners(this._platformJson, this.root);
+
+    if (this._journal.isInterrupted()) {
+        var operation = this._journal.operation;
+        this.events.emit('warn', 'The ' + describeOperation(operation) + ' was interrupted. It will be resumed, ' +
+            'or rolled back if it could not be resumed, before the next plugin operation. Run \'cordova/recover\' ' +
+            'to resume it or \'cordova/recover --rollback\' to roll it back now.');
+    }
 
     var self = this;
 
@@ -66,6 +79,8 @@ function Api(platform, platformRootDir, events) {
         defaultConfigXml: path.join(self.root, 'cordova/defaults.xml'),
         strings: path.join(self.root, 'res/values/strings.xml'),
         manifest: path.join(self.root, 'AndroidManifest.xml'),
+        // Plugins' sources, as they are stored by cordova-lib in project
+        plugins: path.join(self.root, '../../plugins'),
         // NOTE: Due to platformApi spec we need to return relative paths here
         cordovaJs: 'bin/templates/project/assets/www/cordova.js',
         cordovaJsSrc: 'cordova-js-src'
@@ -95,7 +110,12 @@ Api.createPlatform = function (destination, config, options, events) {
     .create(destination, config, options, events || ConsoleLogger.get())
     .then(function (destination) {
         var PlatformApi = require(path.resolve(destination, 'cordova/Api'));
-        return new PlatformApi(PLATFORM, destination, events);
+        var api = new PlatformApi(PLATFORM, destination, events);
+        // New project is created with the latest schema, so none of migrations
+        // should ever run for it.
+        api._platformJson.root.schema_version = require(path.resolve(destination, 'cordova/lib/migrations')).SCHEMA_VERSION;
+        api._platformJson.save();
+        return api;
     });
 };
 
@@ -108,6 +128,9 @@ Api.createPlatform = function (destination, config, options, events) {
  *   should override the default one from platform.
  * @param  {Boolean}  [options.link]  Flag that indicates that platform's
  *   sources will be linked to installed platform instead of copying.
+ * @param  {Boolean}  [options.dryRun]  Flag that indicates that platform
+ *   should not be updated. Instead, migrations of platform project only report
+ *   the changes they would make.
  * @param {EventEmitter} [events] An EventEmitter instance that will be used for
  *   logging purposes. If no EventEmitter provided, all events will be logged to
  *   console
@@ -116,17 +139,48 @@ Api.createPlatform = function (destination, config, options, events) {
  *   instance or rejected with CordovaError.
  */
 Api.updatePlatform = function (destination, options, events) {
+    if (options && options.dryRun) {
+        // Platform files are left intact, so migrations, defined by this
+        // platform version, are reported against the existing project's Api.
+        var api = new (require(path.resolve(destination, 'cordova/Api')))(PLATFORM, destination, events);
+        return require('./lib/migrations').migrate.call(api, options).thenResolve(api);
+    }
+
     return require('../../lib/create')
     .update(destination, options, events || ConsoleLogger.get())
     .then(function (destination) {
         var PlatformApi = require(path.resolve(destination, 'cordova/Api'));
-        return new PlatformApi('android', destination, events);
+        var api = new PlatformApi(PLATFORM, destination, events);
+        // Migrations are defined by updated platform, so run them via its Api
+        return api.migrate(options).thenResolve(api);
     });
 };
 
+/**
+ * Brings platform project up to date with current platform version by running
+ *   the migrations, that haven't been run for this project yet. Platform
+ *   project's schema version is stored in platform json.
+ *
+ * @param   {Object}   [options]         An options object.
+ * @param   {Boolean}  [options.dryRun]  Flag that specifies that migrations
+ *   should only report changes they would make.
+ *
+ * @return  {Promise<Object[]>}  Promise for the list of migrations, that have
+ *   been run, each with 'version', 'description' and 'changes' properties.
+ */
+Api.prototype.migrate = function (options) {
+    return require('./lib/migrations').migrate.call(this, options);
+};
+
 /**
  * Gets a CordovaPlatform object, that represents the platform structure.
  *
+ * Besides the properties, required by PlatformApi spec, the structure also
+ *   contains installed plugins with versions ('plugins'), package id, version
+ *   and SDK levels from AndroidManifest.xml ('manifest'), project's SDK target
+ *   ('projectTarget') and the most recent build artifacts ('artifacts'). See
+ *   lib/info.getProjectInfo for details.
+ *
  * @return  {CordovaPlatform}  A structure that contains the description of
  *   platform's file structure and other properties of platform.
  */
@@ -138,9 +192,26 @@ Api.prototype.getPlatformInfo = function () {
     result.version = require('./version');
     result.projectConfig = this._config;
 
+    var projectInfo = require('./lib/info').getProjectInfo.call(this);
+    result.plugins = projectInfo.plugins;
+    result.manifest = projectInfo.manifest;
+    result.projectTarget = projectInfo.projectTarget;
+    result.artifacts = projectInfo.artifacts;
+
     return result;
 };
 
+/**
+ * Gets information about build environment: Java, Android SDK and build tools
+ *   versions and connected devices and emulators.
+ *
+ * @return  {Promise<Object>}  Promise for environment information. See
+ *   lib/info.getEnvironmentInfo for the structure.
+ */
+Api.prototype.getEnvironmentInfo = function () {
+    return require('./lib/info').getEnvironmentInfo.call(this);
+};
+
 /**
  * Updates installed platform with provided www assets and new app
  *   configuration. This method is required for CLI workflow and will be called
@@ -156,7 +227,10 @@ Api.prototype.getPlatformInfo = function () {
  *   CordovaError instance.
  */
 Api.prototype.prepare = function (cordovaProject) {
-    return require('./lib/prepare').prepare.call(this, cordovaProject);
+    var self = this;
+    return hooks.around.call(this, 'prepare', { options: cordovaProject }, function () {
+        return require('./lib/prepare').prepare.call(self, cordovaProject);
+    });
 };
 
 /**
@@ -175,6 +249,15 @@ Api.prototype.prepare = function (cordovaProject) {
  *   variables that will be used to install plugin. See more details on plugin
  *   variables in documentation:
  *   https://cordova.apache.org/docs/en/4.0.0/plugin_ref_spec.md.html
+ * @param  {Boolean}  installOptions.force  Flag that allows plugin to take over
+ *   files, which are owned by other plugins, instead of failing.
+ * @param  {Boolean}  installOptions.dryRun  Flag that specifies that nothing
+ *   should be actually installed. Instead, the promise is fulfilled with the
+ *   plan of installation: files to be copied, project.properties changes,
+ *   config munges and cordova_plugins.js module entries.
+ * @param  {Boolean}  installOptions.bundleModules  Flag that specifies that
+ *   contents of all installed js-modules should be inlined into
+ *   cordova_plugins.js. See _writePluginModules for details.
  *
  * @return  {Promise}  Return a promise either fulfilled, or rejected with
  *   CordovaError instance.
@@ -184,47 +267,50 @@ Api.prototype.addPlugin = function (plugin, installOptions) {
     if (!plugin || plugin.constructor.name !== 'PluginInfo')
         return Q.reject(new CordovaError('The parameter is incorrect. The first parameter to addPlugin should be a PluginInfo instance'));
 
-    installOptions = installOptions || {};
-    installOptions.variables = installOptions.variables || {};
-
     var self = this;
-    var actions = new ActionStack();
-    var project = AndroidProject.getProjectFile(this.root);
 
-    // gather all files needs to be handled during install
-    plugin.getFilesAndFrameworks(this.platform)
-        .concat(plugin.getAssets(this.platform))
-        .concat(plugin.getJsModules(this.platform))
-    .forEach(function(item) {
-        actions.push(actions.createAction(
-            pluginHandlers.getInstaller(item.itemType), [item, plugin, project, installOptions],
-            pluginHandlers.getUninstaller(item.itemType), [item, plugin, project, installOptions]));
-    });
+    if (installOptions && installOptions.dryRun) {
+        return Q().then(function () {
+            return require('./lib/pluginPlan').add.call(self, plugin, installOptions);
+        });
+    }
 
-    // run through the action stack
-    return actions.process(this.platform)
+    installOptions = installOptions || {};
+    installOptions.variables = installOptions.variables || {};
+
+    return this._recoverInterruptedOperation()
     .then(function () {
-        if (project) {
-            project.write();
-        }
+        return hooks.around.call(self, 'plugin_install', { plugin: plugin, options: installOptions }, installPlugin);
+    });
 
-        // Add PACKAGE_NAME variable into vars
-        if (!installOptions.variables.PACKAGE_NAME) {
-            installOptions.variables.PACKAGE_NAME = project.getPackageName();
-        }
+    function installPlugin() {
+        var actions = new ActionStack();
+        var project = AndroidProject.getProjectFile(self.root);
+        var journal = self._journal;
 
-        self._munger
-            // Ignore passed `is_top_level` option since platform itself doesn't know
-            // anything about managing dependencies - it's responsibility of caller.
-            .add_plugin_changes(plugin, installOptions.variables, /*is_top_level=*/true, /*should_increment=*/true)
-            .save_all();
+        // gather all files needs to be handled during install
+        var items = pluginHandlers.getItems(plugin, self.platform);
+        journal.begin('add', plugin, items, installOptions, installOptions.variables);
 
-        var targetDir = installOptions.usePlatformWww ?
-            self.locations.platformWww :
-            self.locations.www;
+        items.forEach(function(item, index) {
+            actions.push(actions.createAction(
+                journal.track(index, persistent(self._getInstaller(item.itemType), project), 'started', 'done'),
+                [item, plugin, project, installOptions],
+                journal.track(index, persistent(self._getUninstaller(item.itemType), project), 'reverting', 'reverted'),
+                [item, plugin, project, installOptions]));
+        });
 
-        self._addModulesInfo(plugin, targetDir);
-    });
+        // run through the action stack
+        return actions.process(self.platform)
+        .then(function () {
+            self._finishPluginOperation(plugin, project, installOptions);
+        }, function (err) {
+            // ActionStack has already reverted completed steps, so there is
+            // nothing left to recover.
+            journal.finish();
+            throw err;
+        });
+    }
 };
 
 /**
@@ -236,6 +322,13 @@ Api.prototype.addPlugin = function (plugin, installOptions) {
  *
  * @param  {PluginInfo}  plugin  A PluginInfo instance that represents plugin
  *   that will be installed.
+ * @param  {Object}  uninstallOptions  An options object. Possible options below:
+ * @param  {Boolean}  uninstallOptions.dryRun  Flag that specifies that nothing
+ *   should be actually removed. Instead, the promise is fulfilled with the
+ *   plan of removal, similar to addPlugin's one.
+ * @param  {Boolean}  uninstallOptions.bundleModules  Flag that specifies that
+ *   contents of all installed js-modules should be inlined into
+ *   cordova_plugins.js. See _writePluginModules for details.
  *
  * @return  {Promise}  Return a promise either fulfilled, or rejected with
  *   CordovaError instance.
@@ -246,37 +339,421 @@ Api.prototype.removePlugin = function (plugin, uninstallOptions) {
         return Q.reject(new CordovaError('The parameter is incorrect. The first parameter to addPlugin should be a PluginInfo instance'));
 
     var self = this;
-    var actions = new ActionStack();
+
+    if (uninstallOptions && uninstallOptions.dryRun) {
+        return Q().then(function () {
+            return require('./lib/pluginPlan').remove.call(self, plugin, uninstallOptions);
+        });
+    }
+
+    uninstallOptions = uninstallOptions || {};
+
+    return this._recoverInterruptedOperation()
+    .then(function () {
+        return hooks.around.call(self, 'plugin_uninstall', { plugin: plugin, options: uninstallOptions }, uninstallPlugin);
+    });
+
+    function uninstallPlugin() {
+        var actions = new ActionStack();
+        var project = AndroidProject.getProjectFile(self.root);
+        var journal = self._journal;
+
+        // queue up plugin files
+        var items = pluginHandlers.getItems(plugin, self.platform);
+        var platformJson = self._platformJson.root;
+        var variables = (platformJson.installed_plugins || {})[plugin.id] ||
+            (platformJson.dependent_plugins || {})[plugin.id];
+        journal.begin('remove', plugin, items, uninstallOptions, variables);
+
+        items.forEach(function(item, index) {
+            actions.push(actions.createAction(
+                journal.track(index, persistent(self._getUninstaller(item.itemType), project), 'started', 'done'),
+                [item, plugin, project, uninstallOptions],
+                journal.track(index, persistent(self._getInstaller(item.itemType), project), 'reverting', 'reverted'),
+                [item, plugin, project, uninstallOptions]));
+        });
+
+        // run through the action stack
+        return actions.process(self.platform)
+        .then(function() {
+            self._finishPluginOperation(plugin, project, uninstallOptions);
+        }, function (err) {
+            journal.finish();
+            throw err;
+        });
+    }
+};
+
+/**
+ * Updates an installed plugin to another version. Only items (source files,
+ *   frameworks, assets and js-modules) that were added, removed or changed
+ *   between versions are processed; config munges, js-modules list and plugin
+ *   metadata are then switched to the new version at once.
+ *
+ * @param  {PluginInfo}  oldPluginInfo  A PluginInfo instance that represents
+ *   currently installed plugin version.
+ * @param  {PluginInfo}  newPluginInfo  A PluginInfo instance that represents
+ *   plugin version to update to.
+ * @param  {Object}  updateOptions  An options object. Possible options below:
+ * @param  {Boolean}  updateOptions.link: Flag that specifies that plugin
+ *   sources will be symlinked to app's directory instead of copying (if
+ *   possible).
+ * @param  {Object}  updateOptions.variables  Plugin variables, which override
+ *   ones the plugin has been installed with.
+ * @param  {Boolean}  updateOptions.force  Flag that allows plugin to take over
+ *   files, which are owned by other plugins, instead of failing.
+ * @param  {Boolean}  updateOptions.bundleModules  Flag that specifies that
+ *   contents of all installed js-modules should be inlined into
+ *   cordova_plugins.js. See _writePluginModules for details.
+ *
+ * @return  {Promise}  Return a promise either fulfilled with the summary of
+ *   update, or rejected with CordovaError instance. The summary has the
+ *   following structure:
+ *
+ *     {
+ *         id: 'cordova-plugin-device',
+ *         from: '1.0.0',
+ *         to: '1.1.0',
+ *         added: [{ type: 'source-file', src: 'src/android/Device.java' }],
+ *         removed: [],
+ *         changed: [],
+ *         unchanged: []
+ *     }
+ */
+Api.prototype.updatePlugin = function (oldPluginInfo, newPluginInfo, updateOptions) {
+
+    if (!oldPluginInfo || oldPluginInfo.constructor.name !== 'PluginInfo' ||
+        !newPluginInfo || newPluginInfo.constructor.name !== 'PluginInfo')
+        return Q.reject(new CordovaError('The parameter is incorrect. The first two parameters to updatePlugin should be PluginInfo instances'));
+
+    if (oldPluginInfo.id !== newPluginInfo.id)
+        return Q.reject(new CordovaError('Unable to update plugin "' + oldPluginInfo.id +
+            '" with a different plugin "' + newPluginInfo.id + '"'));
+
+    var platformJson = this._platformJson.root;
+    var isTopLevel = !!(platformJson.installed_plugins || {})[oldPluginInfo.id];
+    if (!isTopLevel && !(platformJson.dependent_plugins || {})[oldPluginInfo.id])
+        return Q.reject(new CordovaError('Plugin "' + oldPluginInfo.id + '" is not installed'));
+
+    var self = this;
+    return this._recoverInterruptedOperation()
+    .then(function () {
+        return updatePlugin();
+    });
+
+    function updatePlugin() {
+        updateOptions = updateOptions || {};
+
+        var pluginUpdate = require('./lib/pluginUpdate');
+        var actions = new ActionStack();
+        var project = AndroidProject.getProjectFile(self.root);
+        var journal = self._journal;
+        var diff = pluginUpdate.diff.call(self, oldPluginInfo, newPluginInfo, project, updateOptions);
+
+        var variables = {};
+        var installedVariables = (isTopLevel ? platformJson.installed_plugins : platformJson.dependent_plugins)[oldPluginInfo.id];
+        [installedVariables, updateOptions.variables].forEach(function (vars) {
+            Object.keys(vars || {}).forEach(function (name) {
+                variables[name] = vars[name];
+            });
+        });
+        variables.PACKAGE_NAME = variables.PACKAGE_NAME || project.getPackageName();
+        updateOptions.variables = variables;
+
+        // Journal refers to items by their index in plugin's items, so that
+        // they could be found again when the operation is recovered.
+        var pluginItems = {
+            old: pluginHandlers.getItems(oldPluginInfo, self.platform),
+            'new': pluginHandlers.getItems(newPluginInfo, self.platform)
+        };
+
+        var steps = [];
+        function pushStep(action, version, item) {
+            steps.push({
+                action: action,
+                plugin: version,
+                index: findItem(pluginItems[version], item),
+                item: item
+            });
+        }
+
+        // Remove obsolete items before installing new ones, since changed items
+        // are installed to the same location.
+        diff.removed.forEach(function (item) {
+            pushStep('uninstall', 'old', item);
+        });
+        diff.changed.forEach(function (change) {
+            pushStep('uninstall', 'old', change.from);
+        });
+        diff.changed.forEach(function (change) {
+            pushStep('install', 'new', change.to);
+        });
+        diff.added.forEach(function (item) {
+            pushStep('install', 'new', item);
+        });
+
+        journal.beginUpdate(oldPluginInfo, newPluginInfo, steps, updateOptions,
+            { variables: installedVariables, isTopLevel: isTopLevel });
+
+        steps.forEach(function (step, index) {
+            var plugin = step.plugin === 'old' ? oldPluginInfo : newPluginInfo;
+            var install = step.action === 'install';
+            var handler = (install ? self._getInstaller : self._getUninstaller).call(self, step.item.itemType);
+            var reverter = (install ? self._getUninstaller : self._getInstaller).call(self, step.item.itemType);
+
+            actions.push(actions.createAction(
+                journal.track(index, persistent(handler, project), 'started', 'done'),
+                [step.item, plugin, project, updateOptions],
+                journal.track(index, persistent(reverter, project), 'reverting', 'reverted'),
+                [step.item, plugin, project, updateOptions]));
+        });
+
+        return actions.process(self.platform)
+        .then(function () {
+            self._finishPluginUpdate(oldPluginInfo, newPluginInfo, project, updateOptions);
+
+            function describe(item) {
+                return { type: item.itemType, src: item.src };
+            }
+
+            var summary = {
+                id: newPluginInfo.id,
+                from: oldPluginInfo.version,
+                to: newPluginInfo.version,
+                added: diff.added.map(describe),
+                removed: diff.removed.map(describe),
+                changed: diff.changed.map(function (change) { return describe(change.to); }),
+                unchanged: diff.unchanged.map(describe)
+            };
+
+            self.events.emit('verbose', 'Updated plugin "' + summary.id + '" from ' + summary.from + ' to ' + summary.to +
+                ': ' + summary.added.length + ' added, ' + summary.removed.length + ' removed, ' +
+                summary.changed.length + ' changed, ' + summary.unchanged.length + ' unchanged item(s)');
+
+            return summary;
+        }, function (err) {
+            // ActionStack has already reverted completed steps, so there is
+            // nothing left to recover.
+            journal.finish();
+            throw err;
+        });
+    }
+};
+
+/**
+ * Completes plugin installation, removal or update that has been interrupted
+ *   (e.g. the process has been killed in the middle of addPlugin call). Steps
+ *   that are recorded in journal as completed are skipped; steps that were
+ *   started but not finished are cleaned up and repeated.
+ *
+ * @return  {Promise}  Return a promise either fulfilled, or rejected with
+ *   CordovaError instance.
+ */
+Api.prototype.resumeInterruptedOperation = function () {
+    var self = this;
+    var journal = this._journal;
+    var operation = journal.operation;
+
+    if (!operation) {
+        this.events.emit('log', 'No interrupted plugin operation found.');
+        return Q();
+    }
+
+    var options = operation.options;
     var project = AndroidProject.getProjectFile(this.root);
 
-    // queue up plugin files
-    plugin.getFilesAndFrameworks(this.platform)
-        .concat(plugin.getAssets(this.platform))
-        .concat(plugin.getJsModules(this.platform))
-    .forEach(function(item) {
-        actions.push(actions.createAction(
-            pluginHandlers.getUninstaller(item.itemType), [item, plugin, project, uninstallOptions],
-            pluginHandlers.getInstaller(item.itemType), [item, plugin, project, uninstallOptions]));
+    return Q().then(function () {
+        var steps = self._getJournaledSteps();
+        var actions = new ActionStack();
+
+        self.events.emit('log', 'Resuming ' + describeOperation(operation) + '...');
+
+        steps.forEach(function (step, index) {
+            var status = operation.steps[index].status;
+            if (status === 'done') return;
+
+            var item = step.item;
+            var handler = (step.install ? self._getInstaller : self._getUninstaller).call(self, item.itemType);
+            var reverter = (step.install ? self._getUninstaller : self._getInstaller).call(self, item.itemType);
+
+            // Installation step could be left half-done, so clean up
+            // whatever it has managed to copy before repeating it.
+            if (step.install && status !== 'pending') {
+                try {
+                    persistent(reverter, project).apply(null, [item, step.plugin, project, options]);
+                } catch (err) {
+                    self.events.emit('verbose', 'Failed to clean up <' + item.itemType + '> "' + item.src + '": ' + err.message);
+                }
+            }
+
+            actions.push(actions.createAction(
+                journal.track(index, persistent(handler, project), 'started', 'done'),
+                [item, step.plugin, project, options],
+                journal.track(index, persistent(reverter, project), 'reverting', 'reverted'),
+                [item, step.plugin, project, options]));
+        });
+
+        return actions.process(self.platform)
+        .then(function () {
+            var plugin = self._getJournaledPlugin(operation.plugin);
+            if (operation.action === 'update') {
+                self._finishPluginUpdate(self._getJournaledPlugin(operation.previous), plugin, project, options);
+                self.events.emit('log', 'Plugin "' + plugin.id + '" updated to ' + plugin.version + ' successfully.');
+            } else {
+                self._finishPluginOperation(plugin, project, options);
+                self.events.emit('log', 'Plugin "' + plugin.id + '" ' +
+                    (operation.action === 'add' ? 'installed' : 'removed') + ' successfully.');
+            }
+        });
     });
+};
 
-    // run through the action stack
-    return actions.process(this.platform)
-    .then(function() {
-        if (project) {
-            project.write();
+/**
+ * Recovers plugin installation, removal or update that has been interrupted, before
+ *   starting another plugin operation: resumes it or, if it could not be
+ *   resumed, rolls it back.
+ *
+ * @return  {Promise}  Return a promise, fulfilled once there is no
+ *   interrupted operation, or rejected with CordovaError if both resume and
+ *   rollback have failed.
+ */
+Api.prototype._recoverInterruptedOperation = function () {
+    var self = this;
+    var operation = this._journal.operation;
+    if (!operation) return Q();
+
+    return this.resumeInterruptedOperation()
+    .catch(function (err) {
+        self.events.emit('warn', 'Failed to resume the ' + describeOperation(operation) + ': ' + err.message +
+            '. Rolling it back.');
+        return self.rollbackInterruptedOperation();
+    })
+    .catch(function (err) {
+        throw new CordovaError('The ' + describeOperation(operation) + ' was interrupted and could not be ' +
+            'recovered: ' + err.message + '. Fix the problem and run \'cordova/recover\' before making ' +
+            'further changes to plugins.');
+    });
+};
+
+/**
+ * Rolls back plugin installation, removal or update that has been
+ *   interrupted, returning platform to the state it had before the operation
+ *   started.
+ *
+ * @return  {Promise}  Return a promise either fulfilled, or rejected with
+ *   CordovaError instance.
+ */
+Api.prototype.rollbackInterruptedOperation = function () {
+    var self = this;
+    var journal = this._journal;
+    var operation = journal.operation;
+
+    if (!operation) {
+        this.events.emit('log', 'No interrupted plugin operation found.');
+        return Q();
+    }
+
+    var isAdd = operation.action === 'add';
+    var options = operation.options;
+    var project = AndroidProject.getProjectFile(this.root);
+    var targetDir = options.usePlatformWww ?
+        this.locations.platformWww :
+        this.locations.www;
+
+    return Q().then(function () {
+        var steps = self._getJournaledSteps();
+        var plugin = self._getJournaledPlugin(operation.plugin);
+
+        self.events.emit('log', 'Rolling back ' + describeOperation(operation) + '...');
+
+        // Post-steps are undone first, in reverse order
+        if (journal.isPostStepDone('metadata')) {
+            var previous = operation.previous;
+            require('./lib/pluginUpdate').updateMetadata.call(self, plugin, self._getJournaledPlugin(previous),
+                previous.variables, previous.isTopLevel, options);
         }
 
-        self._munger
-            // Ignore passed `is_top_level` option since platform itself doesn't know
-            // anything about managing dependencies - it's responsibility of caller.
-            .remove_plugin_changes(plugin, /*is_top_level=*/true)
-            .save_all();
+        if (journal.isPostStepDone('modules')) {
+            if (isAdd) {
+                self._removeModulesInfo(plugin, targetDir, options);
+            } else {
+                self._addModulesInfo(plugin, targetDir, options);
+            }
+        }
 
-        var targetDir = uninstallOptions.usePlatformWww ?
-            self.locations.platformWww :
-            self.locations.www;
+        if (journal.isPostStepDone('munger')) {
+            if (isAdd) {
+                self._munger.remove_plugin_changes(plugin, /*is_top_level=*/true).save_all();
+            } else {
+                // Plugin's record, holding its variables, is already removed
+                // from platform json, so they are taken from journal
+                var variables = {};
+                Object.keys(operation.variables || {}).forEach(function (name) {
+                    variables[name] = operation.variables[name];
+                });
+                variables.PACKAGE_NAME = variables.PACKAGE_NAME || project.getPackageName();
+                self._munger.add_plugin_changes(plugin, variables, /*is_top_level=*/true, /*should_increment=*/true).save_all();
+            }
+        }
+
+        for (var i = steps.length - 1; i >= 0; i--) {
+            var step = steps[i];
+            var status = operation.steps[i].status;
+            if (status === 'pending' || status === 'reverted') continue;
+
+            var reverter = (step.install ? self._getUninstaller : self._getInstaller).call(self, step.item.itemType);
+            try {
+                journal.track(i, reverter, 'reverting', 'reverted')
+                    .apply(null, [step.item, step.plugin, project, options]);
+            } catch (err) {
+                self.events.emit('warn', 'Failed to roll back <' + step.item.itemType + '> "' + step.item.src + '": ' + err.message);
+            }
+        }
+
+        project.write();
+        journal.finish();
+        self.events.emit('log', 'Rolled back ' + describeOperation(operation) + '.');
+    });
+};
+
+/**
+ * Lists plugins, installed to platform, along with files, frameworks,
+ *   js-modules and config changes each plugin owns.
+ *
+ * @return  {Object[]}  An array of plugin records. See getPlugin for record
+ *   structure.
+ */
+Api.prototype.listPlugins = function () {
+    return require('./lib/installedPlugins').list.call(this);
+};
+
+/**
+ * Gets the information about installed plugin.
+ *
+ * @param   {String}  pluginId  Id of plugin to get information for.
+ *
+ * @return  {Object}  Plugin record or null if plugin is not installed. The
+ *   record contains plugin's id, version, install variables and the lists of
+ *   files, frameworks, js-modules and config munges, that belong to plugin.
+ */
+Api.prototype.getPlugin = function (pluginId) {
+    return require('./lib/installedPlugins').get.call(this, pluginId);
+};
 
-        self._removeModulesInfo(plugin, targetDir);
+/**
+ * Verifies that files, installed by plugins (sources, libraries, resources,
+ *   custom frameworks, assets and js-modules) are still present in platform
+ *   and match plugins' sources. This allows to detect local changes to plugin
+ *   files, which otherwise would be lost on plugin reinstall.
+ *
+ * @return  {Promise<Object[]>}  A promise either fulfilled with the array of
+ *   verification results (one per installed plugin), or rejected with
+ *   CordovaError.
+ */
+Api.prototype.verifyPlugins = function () {
+    var self = this;
+    return Q().then(function () {
+        return require('./lib/installedPlugins').verify.call(self);
     });
 };
 
@@ -303,7 +780,14 @@ Api.prototype.removePlugin = function (plugin, uninstallOptions) {
  *   app packages should be built for. List of valid architectures is depends on
  *   platform.
  * @param   {String}  buildOptions.buildConfig  The path to build configuration
- *   file. The format of this file is depends on platform.
+ *   file. The format of this file is depends on platform. For Android it is
+ *   validated against schema (see lib/buildJson) and could inherit values
+ *   from another file, specified by 'extends' property. If it declares
+ *   product flavors in 'android.flavors' section, every flavor is built (or
+ *   only the one, specified by '--flavor' argument) and each artifact gets a
+ *   'flavor' property. 'android.versionCodeStrategy' chooses how versionCode
+ *   is computed, same as '--versionCodeStrategy' argument (see
+ *   lib/versionCode).
  * @param   {String[]} buildOptions.argv Raw array of command-line arguments,
  *   passed to `build` command. The purpose of this property is to pass a
  *   platform-specific arguments, and eventually let platform define own
@@ -324,24 +808,43 @@ Api.prototype.removePlugin = function (plugin, uninstallOptions) {
  * The return value in most cases will contain only one item but in some cases
  *   there could be multiple items in output array, e.g. when multiple
  *   arhcitectures is specified.
+ *
+ * Android artifacts also carry size, SHA-256, ABI, version, signing
+ *   certificate fingerprint and build phases' durations (see BuildArtifact in
+ *   lib/buildReport). The same information is written to build-report.json
+ *   next to the packages, along with fingerprint of build inputs. If inputs
+ *   haven't changed since then and packages still exist, build is skipped and
+ *   previous artifacts are returned, unless '--force' argument is passed.
+ *
+ * The returned promise has 'cancel([reason])' method, which stops the build,
+ *   along with gradle or ant and their child processes, and rejects the
+ *   promise with CordovaError. It returns a promise, fulfilled once the
+ *   processes have exited. '--buildTimeout=<seconds>' argument cancels the
+ *   build automatically. Note that promises, chained to the returned one,
+ *   don't have the method.
  */
 Api.prototype.build = function (buildOptions) {
     var self = this;
-    return require('./lib/check_reqs').run()
-    .then(function () {
-        return require('./lib/build').run.call(self, buildOptions);
-    })
-    .then(function (buildResults) {
-        // Cast build result to array of build artifacts
-        return buildResults.apkPaths.map(function (apkPath) {
-            return {
-                buildType: buildResults.buildType,
-                buildMethod: buildResults.buildMethod,
-                path: apkPath,
-                type: 'apk'
-            };
+    var cancellation = new Cancellation();
+    var promise = hooks.around.call(this, 'build', { options: buildOptions }, function () {
+        return require('./lib/check_reqs').run()
+        .then(function () {
+            return require('./lib/build').run.call(self, buildOptions, null, cancellation);
+        })
+        .then(function (buildResults) {
+            // Cast build result to array of build artifacts
+            return buildResults.artifacts.map(function (artifact) {
+                var result = { type: 'apk' };
+                Object.keys(artifact).forEach(function (key) {
+                    result[key] = artifact[key];
+                });
+                return result;
+            });
         });
     });
+
+    promise.cancel = cancellation.cancel.bind(cancellation);
+    return promise;
 };
 
 /**
@@ -354,28 +857,43 @@ Api.prototype.build = function (buildOptions) {
  *   as for build options.
  *
  * @return {Promise} A promise either fulfilled if package was built and ran
- *   successfully, or rejected with CordovaError.
+ *   successfully, or rejected with CordovaError. Like with 'build', the
+ *   promise could be cancelled with its 'cancel' method, which stops the
+ *   build.
  */
 Api.prototype.run = function(runOptions) {
     var self = this;
-    return require('./lib/check_reqs').run()
-    .then(function () {
-        return require('./lib/run').run.call(self, runOptions);
+    var cancellation = new Cancellation();
+    var promise = hooks.around.call(this, 'run', { options: runOptions }, function () {
+        return require('./lib/check_reqs').run()
+        .then(function () {
+            return require('./lib/run').run.call(self, runOptions, cancellation);
+        });
     });
+
+    promise.cancel = cancellation.cancel.bind(cancellation);
+    return promise;
 };
 
 /**
  * Cleans out the build artifacts from platform's directory.
  *
  * @return  {Promise}  Return a promise either fulfilled, or rejected with
- *   CordovaError.
+ *   CordovaError. Like with 'build', the promise could be cancelled with
+ *   its 'cancel' method.
  */
 Api.prototype.clean = function(cleanOptions) {
     var self = this;
-    return require('./lib/check_reqs').run()
-    .then(function () {
-        return require('./lib/build').runClean.call(self, cleanOptions);
+    var cancellation = new Cancellation();
+    var promise = hooks.around.call(this, 'clean', { options: cleanOptions }, function () {
+        return require('./lib/check_reqs').run()
+        .then(function () {
+            return require('./lib/build').runClean.call(self, cleanOptions, cancellation);
+        });
     });
+
+    promise.cancel = cancellation.cancel.bind(cancellation);
+    return promise;
 };
 
 /**
@@ -400,18 +918,43 @@ module.exports = Api;
  *   needs to be added.
  * @param   {String}  targetDir  The directory, where updated cordova_plugins.js
  *   should be written to.
+ * @param   {Object}  [options]  Plugin operation options, passed to
+ *   _writePluginModules.
  */
-Api.prototype._addModulesInfo = function(plugin, targetDir) {
+Api.prototype._addModulesInfo = function(plugin, targetDir, options) {
     var installedModules = this._platformJson.root.modules || [];
 
     var installedPaths = installedModules.map(function (installedModule) {
         return installedModule.file;
     });
 
-    var modulesToInstall = plugin.getJsModules(this.platform)
+    var modulesToInstall = this._getModuleEntries(plugin)
     .filter(function (moduleToInstall) {
         return installedPaths.indexOf(moduleToInstall.file) === -1;
-    }).map(function (moduleToInstall) {
+    });
+
+    this._platformJson.root.modules = installedModules.concat(modulesToInstall);
+    if (!this._platformJson.root.plugin_metadata) {
+        this._platformJson.root.plugin_metadata = {};
+    }
+    this._platformJson.root.plugin_metadata[plugin.id] = plugin.version;
+
+    this._writePluginModules(targetDir, options);
+    this._platformJson.save();
+};
+
+/**
+ * Generates cordova_plugins.js module entries for plugin's js-modules.
+ *
+ * @param   {PluginInfo}  plugin  PluginInfo instance for plugin, which modules
+ *   entries should be generated.
+ *
+ * @return  {Object[]}  An array of module entries, as they stored in
+ *   platform json.
+ */
+Api.prototype._getModuleEntries = function(plugin) {
+    return plugin.getJsModules(this.platform)
+    .map(function (moduleToInstall) {
         var moduleName = plugin.id + '.' + ( moduleToInstall.name || moduleToInstall.src.match(/([^\/]+)\.js/)[1] );
         var obj = {
             file: ['plugins', plugin.id, moduleToInstall.src].join('/'),
@@ -429,15 +972,6 @@ Api.prototype._addModulesInfo = function(plugin, targetDir) {
 
         return obj;
     });
-
-    this._platformJson.root.modules = installedModules.concat(modulesToInstall);
-    if (!this._platformJson.root.plugin_metadata) {
-        this._platformJson.root.plugin_metadata = {};
-    }
-    this._platformJson.root.plugin_metadata[plugin.id] = plugin.version;
-
-    this._writePluginModules(targetDir);
-    this._platformJson.save();
 };
 
 /**
@@ -448,8 +982,10 @@ Api.prototype._addModulesInfo = function(plugin, targetDir) {
  *   needs to be removed.
  * @param   {String}  targetDir  The directory, where updated cordova_plugins.js
  *   should be written to.
+ * @param   {Object}  [options]  Plugin operation options, passed to
+ *   _writePluginModules.
  */
-Api.prototype._removeModulesInfo = function(plugin, targetDir) {
+Api.prototype._removeModulesInfo = function(plugin, targetDir, options) {
     var installedModules = this._platformJson.root.modules || [];
     var modulesToRemove = plugin.getJsModules(this.platform)
     .map(function (jsModule) {
@@ -466,7 +1002,7 @@ Api.prototype._removeModulesInfo = function(plugin, targetDir) {
         delete this._platformJson.root.plugin_metadata[plugin.id];
     }
 
-    this._writePluginModules(targetDir);
+    this._writePluginModules(targetDir, options);
     this._platformJson.save();
 };
 
@@ -477,10 +1013,27 @@ Api.prototype._removeModulesInfo = function(plugin, targetDir) {
  * @param   {String}  targetDir  Directory, where write cordova_plugins.js to.
  *   Ususally it is either <platform>/www or <platform>/platform_www
  *   directories.
+ * @param   {Object}  [options]  An options object. Possible options below:
+ * @param   {Boolean}  options.bundleModules  Flag that specifies that contents
+ *   of all installed js-modules should be inlined into cordova_plugins.js,
+ *   sorted by module id. Since plugin loader doesn't inject scripts for
+ *   modules that are already defined, this saves a request per module at
+ *   application startup. The flag is stored in platform json, so that
+ *   subsequent plugin operations, which don't specify it, keep the bundle.
  */
-Api.prototype._writePluginModules = function (targetDir) {
+Api.prototype._writePluginModules = function (targetDir, options) {
+    var platformConfig = this._platformJson.root;
+    if (options && typeof options.bundleModules !== 'undefined') {
+        platformConfig.bundle_modules = !!options.bundleModules;
+    }
+
+    var final_contents = '';
+    if (platformConfig.bundle_modules) {
+        final_contents += bundleModules(platformConfig.modules || [], targetDir, this.events);
+    }
+
     // Write out moduleObjects as JSON wrapped in a cordova module to cordova_plugins.js
-    var final_contents = 'cordova.define(\'cordova/plugin_list\', function(require, exports, module) {\n';
+    final_contents += 'cordova.define(\'cordova/plugin_list\', function(require, exports, module) {\n';
     final_contents += 'module.exports = ' + JSON.stringify(this._platformJson.root.modules, null, '    ') + ';\n';
     final_contents += 'module.exports.metadata = \n';
     final_contents += '// TOP OF METADATA\n';
@@ -492,3 +1045,249 @@ Api.prototype._writePluginModules = function (targetDir) {
     shell.mkdir('-p', targetDir);
     fs.writeFileSync(path.join(targetDir, 'cordova_plugins.js'), final_contents, 'utf-8');
 };
+
+/**
+ * Performs the steps of plugin installation/removal which follow processing
+ *   of plugin's files: writes project files, updates config munge and the list
+ *   of installed js-modules. Every step is recorded in journal; steps which are
+ *   already recorded as completed are skipped so this method could be used to
+ *   finish an interrupted operation.
+ *
+ * @param   {PluginInfo}     plugin   A PluginInfo instance for plugin being
+ *   installed/removed.
+ * @param   {AndroidProject} project  A project instance, used by handlers.
+ * @param   {Object}         options  Install/uninstall options.
+ */
+Api.prototype._finishPluginOperation = function (plugin, project, options) {
+    var self = this;
+    var journal = this._journal;
+    var isAdd = journal.operation.action === 'add';
+
+    journal.runPostStep('project', function () {
+        if (project) {
+            project.write();
+        }
+    });
+
+    journal.runPostStep('munger', function () {
+        if (isAdd) {
+            // Add PACKAGE_NAME variable into vars
+            if (!options.variables.PACKAGE_NAME) {
+                options.variables.PACKAGE_NAME = project.getPackageName();
+            }
+
+            self._munger
+                // Ignore passed `is_top_level` option since platform itself doesn't know
+                // anything about managing dependencies - it's responsibility of caller.
+                .add_plugin_changes(plugin, options.variables, /*is_top_level=*/true, /*should_increment=*/true)
+                .save_all();
+        } else {
+            self._munger
+                .remove_plugin_changes(plugin, /*is_top_level=*/true)
+                .save_all();
+        }
+    });
+
+    journal.runPostStep('modules', function () {
+        var targetDir = options.usePlatformWww ?
+            self.locations.platformWww :
+            self.locations.www;
+
+        if (isAdd) {
+            self._addModulesInfo(plugin, targetDir, options);
+        } else {
+            self._removeModulesInfo(plugin, targetDir, options);
+        }
+    });
+
+    journal.finish();
+};
+
+/**
+ * Performs the steps of plugin update which follow processing of changed
+ *   items: writes project files and switches config munge, js-modules and
+ *   metadata to the new plugin version. Like _finishPluginOperation, skips
+ *   steps which are recorded in journal as completed.
+ *
+ * @param   {PluginInfo}     oldPlugin  Previously installed plugin version.
+ * @param   {PluginInfo}     newPlugin  Plugin version being installed.
+ * @param   {AndroidProject} project    A project instance, used by handlers.
+ * @param   {Object}         options    Update options, including variables
+ *   for the new version.
+ */
+Api.prototype._finishPluginUpdate = function (oldPlugin, newPlugin, project, options) {
+    var self = this;
+    var journal = this._journal;
+    var operation = journal.operation;
+
+    journal.runPostStep('project', function () {
+        project.write();
+    });
+
+    journal.runPostStep('metadata', function () {
+        require('./lib/pluginUpdate').updateMetadata.call(self, oldPlugin, newPlugin,
+            options.variables, operation.previous.isTopLevel, options);
+    });
+
+    journal.finish();
+};
+
+/**
+ * Loads PluginInfo for plugin, recorded in journal, and makes sure that
+ *   plugin hasn't been changed since the operation was started.
+ *
+ * @param   {Object}  journaled  Plugin's id, version and directory, as
+ *   recorded in journal.
+ *
+ * @return  {PluginInfo}  A PluginInfo instance for journaled plugin.
+ */
+Api.prototype._getJournaledPlugin = function (journaled) {
+    if (!fs.existsSync(journaled.dir)) {
+        throw new CordovaError('Unable to recover interrupted operation: sources of plugin "' +
+            journaled.id + '" are not found at ' + journaled.dir);
+    }
+
+    var plugin = this._pluginInfoProvider.get(journaled.dir);
+    if (plugin.id !== journaled.id || plugin.version !== journaled.version) {
+        throw pluginChangedError(journaled);
+    }
+
+    return plugin;
+};
+
+/**
+ * Resolves journaled steps of interrupted operation to plugin items, making
+ *   sure that they still match the items of journaled plugin(s).
+ *
+ * @return  {Object[]}  Steps in journal order, each with 'item', 'plugin'
+ *   (PluginInfo the item belongs to) and 'install' flag, that is false for
+ *   steps which uninstall the item.
+ */
+Api.prototype._getJournaledSteps = function () {
+    var operation = this._journal.operation;
+    var plugins = { 'new': this._getJournaledPlugin(operation.plugin) };
+    var items = { 'new': pluginHandlers.getItems(plugins['new'], this.platform) };
+
+    if (operation.action !== 'update') {
+        if (items['new'].length !== operation.steps.length) {
+            throw pluginChangedError(operation.plugin);
+        }
+
+        return items['new'].map(function (item) {
+            return { item: item, plugin: plugins['new'], install: operation.action === 'add' };
+        });
+    }
+
+    plugins.old = this._getJournaledPlugin(operation.previous);
+    items.old = pluginHandlers.getItems(plugins.old, this.platform);
+
+    return operation.steps.map(function (step) {
+        var item = items[step.plugin][step.index];
+        if (!item || item.itemType !== step.type || item.src !== step.src) {
+            throw pluginChangedError(step.plugin === 'old' ? operation.previous : operation.plugin);
+        }
+
+        return { item: item, plugin: plugins[step.plugin], install: step.action === 'install' };
+    });
+};
+
+/**
+ * Gets an installer for plugin item type, that also tracks the ownership of
+ *   installed files. See FileOwners.guardInstaller.
+ *
+ * @param   {String}    type  Plugin item type, e.g. 'source-file'.
+ *
+ * @return  {Function}        Installer or undefined if item type is not
+ *   supported.
+ */
+Api.prototype._getInstaller = function (type) {
+    return this._fileOwners.guardInstaller(pluginHandlers.getInstaller(type));
+};
+
+/**
+ * Gets an uninstaller for plugin item type, that never removes files owned by
+ *   other plugins. See FileOwners.guardUninstaller.
+ *
+ * @param   {String}    type  Plugin item type, e.g. 'source-file'.
+ *
+ * @return  {Function}        Uninstaller or undefined if item type is not
+ *   supported.
+ */
+Api.prototype._getUninstaller = function (type) {
+    return this._fileOwners.guardUninstaller(pluginHandlers.getUninstaller(type));
+};
+
+/**
+ * Gets the PluginInfo for installed plugin from project's 'plugins' directory.
+ *
+ * @param   {String}  pluginId  Id of installed plugin.
+ *
+ * @return  {PluginInfo}        A PluginInfo instance or null if plugin's
+ *   sources are not available.
+ */
+Api.prototype._getInstalledPluginInfo = function (pluginId) {
+    var pluginDir = path.join(this.locations.plugins, pluginId);
+    if (!fs.existsSync(path.join(pluginDir, 'plugin.xml'))) {
+        return null;
+    }
+
+    return this._pluginInfoProvider.get(pluginDir);
+};
+
+// Makes handler flush project.properties changes right after it completes, so
+// that a step recorded in journal as done is also done on disk.
+function persistent(handler, project) {
+    return handler && function () {
+        handler.apply(null, arguments);
+        project.write();
+    };
+}
+
+// Concatenates already wrapped js-modules, installed to targetDir, in order of
+// module ids so that the bundle doesn't depend on plugins installation order.
+function bundleModules(modules, targetDir, events) {
+    return modules.slice()
+    .sort(function (a, b) {
+        return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    })
+    .map(function (jsModule) {
+        var moduleFile = path.join(targetDir, jsModule.file);
+        if (!fs.existsSync(moduleFile)) {
+            // Plugin loader will inject the module from its own file
+            events.emit('warn', 'Module ' + jsModule.id + ' is not found at ' + moduleFile + ', skipping it in bundle.');
+            return '';
+        }
+
+        return '// file: ' + jsModule.file + '\n' +
+            fs.readFileSync(moduleFile, 'utf-8').replace(/\s*$/, '\n') + '\n';
+    })
+    .join('');
+}
+
+var OPERATION_NAMES = {
+    add: 'installation',
+    remove: 'removal',
+    update: 'update'
+};
+
+function describeOperation(operation) {
+    return OPERATION_NAMES[operation.action] + ' of plugin "' + operation.plugin.id + '"';
+}
+
+function pluginChangedError(journaled) {
+    return new CordovaError('Unable to recover interrupted operation: plugin "' +
+        journaled.id + '" has been changed since the operation was started');
+}
+
+// Finds the index of plugin item, that has the same type and location as the
+// given one. Items, returned by PluginInfo, are new objects on every call.
+function findItem(items, item) {
+    for (var i = 0; i < items.length; i++) {
+        var candidate = items[i];
+        if (candidate.itemType === item.itemType && candidate.src === item.src &&
+            (candidate.target || candidate.targetDir) === (item.target || item.targetDir)) {
+            return i;
+        }
+    }
+    return -1;
+}
@@ -168,6 +168,38 @@ AndroidProject.prototype.write = function() {
     }
 };
 
+/**
+ * Gets the changes made to properties files, which are not written to disk
+ *   yet.
+ *
+ * @return  {Object[]}  A list of changed properties. Each item contains
+ *   'file', 'key', 'oldValue' and 'newValue' fields. Values of added or removed
+ *   properties are undefined.
+ */
+AndroidProject.prototype.getPendingChanges = function() {
+    var self = this;
+    var changes = [];
+
+    Object.keys(this._propertiesEditors).forEach(function (filename) {
+        var editor = self._propertiesEditors[filename];
+        if (!editor.dirty) return;
+
+        var original = fs.existsSync(filename) ? properties_parser.parse(fs.readFileSync(filename, 'utf-8')) : {};
+        var updated = properties_parser.parse(editor.toString());
+        var keys = Object.keys(original).concat(Object.keys(updated).filter(function (key) {
+            return !(key in original);
+        }));
+
+        keys.forEach(function (key) {
+            if (original[key] !== updated[key]) {
+                changes.push({ file: filename, key: key, oldValue: original[key], newValue: updated[key] });
+            }
+        });
+    });
+
+    return changes;
+};
+
 AndroidProject.prototype._getPropertiesFile = function (filename) {
     if (!this._propertiesEditors[filename]) {
         if (fs.existsSync(filename)) {
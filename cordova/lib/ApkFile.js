@@ -0,0 +1,432 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+// Decoding binary formats requires bitwise operations
+/* jshint bitwise: false */
+
+var fs = require('fs');
+var zlib = require('zlib');
+var et = require('elementtree');
+var CordovaError = require('cordova-common').CordovaError;
+
+// Zip signatures
+var EOCD_SIGNATURE = 0x06054b50;
+var ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+var CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+var LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Chunk types of Android binary resources, see ResourceTypes.h in AOSP
+var RES_STRING_POOL_TYPE = 0x0001;
+var RES_TABLE_TYPE = 0x0002;
+var RES_XML_TYPE = 0x0003;
+var RES_XML_START_NAMESPACE_TYPE = 0x0100;
+var RES_XML_END_NAMESPACE_TYPE = 0x0101;
+var RES_XML_START_ELEMENT_TYPE = 0x0102;
+var RES_XML_END_ELEMENT_TYPE = 0x0103;
+var RES_XML_CDATA_TYPE = 0x0104;
+var RES_XML_RESOURCE_MAP_TYPE = 0x0180;
+var RES_TABLE_PACKAGE_TYPE = 0x0200;
+var RES_TABLE_TYPE_TYPE = 0x0201;
+
+var UTF8_FLAG = 0x100;
+var NO_INDEX = 0xffffffff;
+var FLAG_COMPLEX = 0x0001;
+var FLAG_SPARSE = 0x01;
+
+// Res_value data types
+var TYPE_REFERENCE = 0x01;
+var TYPE_STRING = 0x03;
+var TYPE_INT_DEC = 0x10;
+var TYPE_INT_HEX = 0x11;
+var TYPE_INT_BOOLEAN = 0x12;
+
+var ANDROID_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+
+// Stripped APKs could omit names of framework attributes, so these are taken
+// from resource map. Only attributes, inspected by lib/inspect, are listed.
+var ANDROID_ATTRIBUTES = {
+    0x01010001: 'label',
+    0x01010003: 'name',
+    0x0101020c: 'minSdkVersion',
+    0x0101021b: 'versionCode',
+    0x0101021c: 'versionName',
+    0x01010270: 'targetSdkVersion',
+    0x01010271: 'maxSdkVersion'
+};
+
+/**
+ * @class ApkFile
+ *
+ * Reads an application package without Android SDK tools: lists and extracts
+ *   zip entries, decodes binary AndroidManifest.xml and resolves string
+ *   resources from resources.arsc.
+ *
+ * ZIP64 archives are not supported, since packages never get close to 4GB
+ *   limit of plain zip. Both dense and sparse (API 26+) resource type chunks
+ *   are decoded, but only simple values: bag resources, like styles and
+ *   plurals, are skipped.
+ *
+ * @param   {String}  apkPath  Path to APK file.
+ *
+ * @throws  {CordovaError}     If file doesn't exist, is not a valid zip
+ *   archive or is a ZIP64 archive.
+ */
+function ApkFile(apkPath) {
+    if (!fs.existsSync(apkPath)) {
+        throw new CordovaError('Package ' + apkPath + ' does not exist');
+    }
+    this.path = apkPath;
+    this.data = fs.readFileSync(apkPath);
+    this.entries = readCentralDirectory(this.data, apkPath);
+    this._resourceTable = null;
+}
+
+/**
+ * @return  {String[]}  Names of all entries in package.
+ */
+ApkFile.prototype.getEntryNames = function () {
+    return Object.keys(this.entries);
+};
+
+/**
+ * Extracts an entry from package.
+ *
+ * @param   {String}  name  Entry name, e.g. 'AndroidManifest.xml'.
+ *
+ * @return  {Buffer}        Uncompressed entry data.
+ *
+ * @throws  {CordovaError}  If there is no such entry or it uses unsupported
+ *   compression method.
+ */
+ApkFile.prototype.readEntry = function (name) {
+    var entry = this.entries[name];
+    if (!entry) {
+        throw new CordovaError(this.path + ' has no ' + name + ' entry');
+    }
+
+    var data = this.data;
+    if (data.readUInt32LE(entry.localHeaderOffset) !== LOCAL_HEADER_SIGNATURE) {
+        throw new CordovaError('Malformed local header of ' + name + ' in ' + this.path);
+    }
+    // Local header's extra field could differ from central directory's one
+    var start = entry.localHeaderOffset + 30 + data.readUInt16LE(entry.localHeaderOffset + 26) +
+        data.readUInt16LE(entry.localHeaderOffset + 28);
+    var compressed = data.slice(start, start + entry.compressedSize);
+
+    if (entry.method === 0) return compressed;
+    if (entry.method === 8) return zlib.inflateRawSync(compressed);
+
+    throw new CordovaError('Entry ' + name + ' of ' + this.path + ' uses unsupported compression method ' + entry.method);
+};
+
+/**
+ * Decodes binary AndroidManifest.xml of package. Attributes of Android
+ *   namespace are prefixed with 'android:' as in source manifest, and values
+ *   are converted to strings, so the result could be inspected the same way as
+ *   source manifest. References to resources are represented as '@0x7f050000'.
+ *
+ * @return  {ElementTree}  Decoded manifest.
+ */
+ApkFile.prototype.getManifest = function () {
+    return this._decode('AndroidManifest.xml', decodeXml);
+};
+
+/**
+ * Resolves a string resource from resources.arsc. If resource has multiple
+ *   values for different configurations (e.g. locales), the first one, which
+ *   is usually the default one, is returned.
+ *
+ * @param   {String|Number}  reference  Resource id or reference like
+ *   '@0x7f050000'.
+ *
+ * @return  {String}                    Resource value or null if package has no
+ *   such string resource.
+ */
+ApkFile.prototype.resolveString = function (reference) {
+    var id = typeof reference === 'number' ? reference : parseInt(String(reference).replace(/^@/, ''), 16);
+    if (isNaN(id)) return null;
+
+    var table = this._getResourceTable();
+    var value = table.values[id] && table.values[id][0];
+    return value && value.type === TYPE_STRING ? table.strings[value.data] : null;
+};
+
+/**
+ * @return  {String[]}  Global string pool of resources.arsc, i.e. values of
+ *   all string resources of package.
+ */
+ApkFile.prototype.getResourceStrings = function () {
+    return this._getResourceTable().strings;
+};
+
+ApkFile.prototype._getResourceTable = function () {
+    if (!this._resourceTable) {
+        this._resourceTable = this.entries['resources.arsc'] ?
+            this._decode('resources.arsc', decodeResourceTable) : { strings: [], values: {} };
+    }
+    return this._resourceTable;
+};
+
+ApkFile.prototype._decode = function (name, decoder) {
+    var data = this.readEntry(name);
+    try {
+        return decoder(data);
+    } catch (err) {
+        throw new CordovaError('Failed to decode ' + name + ' of ' + this.path + ': ' + err.message);
+    }
+};
+
+function readCentralDirectory(data, apkPath) {
+    // End of central directory record is followed by a comment of up to 64K
+    var eocd = -1;
+    for (var offset = data.length - 22; offset >= Math.max(0, data.length - 22 - 0xffff); offset--) {
+        if (data.readUInt32LE(offset) === EOCD_SIGNATURE) {
+            eocd = offset;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new CordovaError(apkPath + ' is not a valid zip archive');
+    }
+    if (eocd >= 20 && data.readUInt32LE(eocd - 20) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        throw new CordovaError(apkPath + ' is a ZIP64 archive, which is not supported');
+    }
+
+    var entries = {};
+    var count = data.readUInt16LE(eocd + 10);
+    var position = data.readUInt32LE(eocd + 16);
+
+    for (var i = 0; i < count; i++) {
+        if (data.readUInt32LE(position) !== CENTRAL_DIRECTORY_SIGNATURE) {
+            throw new CordovaError('Malformed central directory in ' + apkPath);
+        }
+        var nameLength = data.readUInt16LE(position + 28);
+        var name = data.toString('utf-8', position + 46, position + 46 + nameLength);
+        entries[name] = {
+            method: data.readUInt16LE(position + 10),
+            compressedSize: data.readUInt32LE(position + 20),
+            size: data.readUInt32LE(position + 24),
+            localHeaderOffset: data.readUInt32LE(position + 42)
+        };
+        position += 46 + nameLength + data.readUInt16LE(position + 30) + data.readUInt16LE(position + 32);
+    }
+
+    return entries;
+}
+
+function readChunkHeader(data, offset) {
+    var chunk = {
+        offset: offset,
+        type: data.readUInt16LE(offset),
+        headerSize: data.readUInt16LE(offset + 2),
+        size: data.readUInt32LE(offset + 4)
+    };
+    // Guards against looping forever over corrupted data
+    if (chunk.headerSize < 8 || chunk.size < chunk.headerSize || offset + chunk.size > data.length) {
+        throw new CordovaError('Malformed resource chunk at offset ' + offset);
+    }
+    return chunk;
+}
+
+function readStringPool(data, chunk) {
+    var count = data.readUInt32LE(chunk.offset + 8);
+    var isUtf8 = (data.readUInt32LE(chunk.offset + 16) & UTF8_FLAG) !== 0;
+    var stringsStart = chunk.offset + data.readUInt32LE(chunk.offset + 20);
+    var strings = [];
+
+    for (var i = 0; i < count; i++) {
+        var position = stringsStart + data.readUInt32LE(chunk.offset + chunk.headerSize + i * 4);
+        var length;
+
+        if (isUtf8) {
+            // Length in UTF-16 code units precedes length in bytes, both are
+            // encoded with one or two bytes.
+            position += data[position] & 0x80 ? 2 : 1;
+            length = data[position];
+            if (length & 0x80) {
+                length = ((length & 0x7f) << 8) | data[position + 1];
+                position += 1;
+            }
+            position += 1;
+            strings.push(data.toString('utf-8', position, position + length));
+        } else {
+            length = data.readUInt16LE(position);
+            position += 2;
+            if (length & 0x8000) {
+                length = ((length & 0x7fff) << 16) | data.readUInt16LE(position);
+                position += 2;
+            }
+            strings.push(data.toString('utf16le', position, position + length * 2));
+        }
+    }
+
+    return strings;
+}
+
+function formatValue(type, value, rawValue, strings) {
+    if (rawValue !== NO_INDEX) return strings[rawValue];
+
+    switch (type) {
+        case TYPE_STRING: return strings[value];
+        case TYPE_REFERENCE: return '@0x' + ('0000000' + (value >>> 0).toString(16)).slice(-8);
+        case TYPE_INT_DEC: return String(value | 0);
+        case TYPE_INT_HEX: return '0x' + (value >>> 0).toString(16);
+        case TYPE_INT_BOOLEAN: return String(value !== 0);
+        default: return String(value);
+    }
+}
+
+function decodeXml(data) {
+    var header = readChunkHeader(data, 0);
+    if (header.type !== RES_XML_TYPE) {
+        throw new CordovaError('Not a binary XML document');
+    }
+
+    var strings = [];
+    var resourceIds = [];
+    var prefixes = {};
+    var root = null;
+    var stack = [];
+
+    for (var offset = header.headerSize; offset < header.size;) {
+        var chunk = readChunkHeader(data, offset);
+        var body = offset + chunk.headerSize;
+
+        switch (chunk.type) {
+            case RES_STRING_POOL_TYPE:
+                strings = readStringPool(data, chunk);
+                break;
+            case RES_XML_RESOURCE_MAP_TYPE:
+                for (var position = body; position < offset + chunk.size; position += 4) {
+                    resourceIds.push(data.readUInt32LE(position));
+                }
+                break;
+            case RES_XML_START_NAMESPACE_TYPE:
+                prefixes[strings[data.readUInt32LE(body + 4)]] = strings[data.readUInt32LE(body)];
+                break;
+            case RES_XML_START_ELEMENT_TYPE:
+                var element = new et.Element(strings[data.readUInt32LE(body + 4)]);
+                var attributeStart = data.readUInt16LE(body + 8);
+                var attributeSize = data.readUInt16LE(body + 10);
+                var attributeCount = data.readUInt16LE(body + 12);
+
+                for (var i = 0; i < attributeCount; i++) {
+                    var attribute = body + attributeStart + i * attributeSize;
+                    var namespaceIndex = data.readUInt32LE(attribute);
+                    var nameIndex = data.readUInt32LE(attribute + 4);
+                    var name = strings[nameIndex] || ANDROID_ATTRIBUTES[resourceIds[nameIndex]] || String(nameIndex);
+                    var namespace = namespaceIndex === NO_INDEX ? null : strings[namespaceIndex];
+
+                    if (namespace) {
+                        var prefix = prefixes[namespace] || (namespace === ANDROID_NAMESPACE ? 'android' : namespace);
+                        name = prefix + ':' + name;
+                    }
+
+                    element.attrib[name] = formatValue(data[attribute + 15], data.readUInt32LE(attribute + 16),
+                        data.readUInt32LE(attribute + 8), strings);
+                }
+
+                if (stack.length > 0) {
+                    stack[stack.length - 1].append(element);
+                } else {
+                    root = element;
+                }
+                stack.push(element);
+                break;
+            case RES_XML_END_ELEMENT_TYPE:
+                stack.pop();
+                break;
+            case RES_XML_END_NAMESPACE_TYPE:
+            case RES_XML_CDATA_TYPE:
+                break;
+        }
+
+        offset += chunk.size;
+    }
+
+    if (!root) {
+        throw new CordovaError('Binary XML document has no elements');
+    }
+    return new et.ElementTree(root);
+}
+
+// Decodes values of resources.arsc into a map of resource id to the list of
+// its values for all configurations. Complex (bag) resources are omitted.
+function decodeResourceTable(data) {
+    var header = readChunkHeader(data, 0);
+    if (header.type !== RES_TABLE_TYPE) {
+        throw new CordovaError('Not a resource table');
+    }
+
+    var table = { strings: [], values: {} };
+
+    for (var offset = header.headerSize; offset < header.size;) {
+        var chunk = readChunkHeader(data, offset);
+        if (chunk.type === RES_STRING_POOL_TYPE) {
+            table.strings = readStringPool(data, chunk);
+        } else if (chunk.type === RES_TABLE_PACKAGE_TYPE) {
+            decodePackage(data, chunk, table.values);
+        }
+        offset += chunk.size;
+    }
+
+    return table;
+}
+
+function decodePackage(data, packageChunk, values) {
+    var packageId = data.readUInt32LE(packageChunk.offset + 8);
+
+    for (var offset = packageChunk.offset + packageChunk.headerSize;
+            offset < packageChunk.offset + packageChunk.size;) {
+        var chunk = readChunkHeader(data, offset);
+
+        if (chunk.type === RES_TABLE_TYPE_TYPE) {
+            var typeId = data[offset + 8];
+            var isSparse = (data[offset + 9] & FLAG_SPARSE) !== 0;
+            var entryCount = data.readUInt32LE(offset + 12);
+            var entriesStart = offset + data.readUInt32LE(offset + 16);
+
+            for (var i = 0; i < entryCount; i++) {
+                var index = i;
+                var entryOffset;
+                if (isSparse) {
+                    // Sparse chunks list only present entries as pairs of
+                    // entry index and offset divided by 4
+                    index = data.readUInt16LE(offset + chunk.headerSize + i * 4);
+                    entryOffset = data.readUInt16LE(offset + chunk.headerSize + i * 4 + 2) * 4;
+                } else {
+                    entryOffset = data.readUInt32LE(offset + chunk.headerSize + i * 4);
+                    if (entryOffset === NO_INDEX) continue;
+                }
+
+                var entry = entriesStart + entryOffset;
+                if (data.readUInt16LE(entry + 2) & FLAG_COMPLEX) continue;
+
+                var value = entry + data.readUInt16LE(entry);
+                var id = ((packageId << 24) | (typeId << 16) | index) >>> 0;
+                values[id] = values[id] || [];
+                values[id].push({ type: data[value + 3], data: data.readUInt32LE(value + 4) });
+            }
+        }
+
+        offset += chunk.size;
+    }
+}
+
+module.exports = ApkFile;
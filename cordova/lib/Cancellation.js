@@ -0,0 +1,220 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var child_process = require('child_process');
+var events = require('./events');
+var CordovaError = require('cordova-common').CordovaError;
+
+// Time, given to processes to exit after SIGTERM, before they are killed
+var KILL_TIMEOUT = 5000;
+
+/**
+ * @class Cancellation
+ *
+ * Lets long running operation, e.g. build, be cancelled. Operation spawns
+ *   child processes with 'spawn' or 'start' methods, so cancelling stops them
+ *   along with all their descendants, e.g. JVMs, started by gradle and ant
+ *   scripts.
+ *
+ * Except on Windows, processes are started in their own process groups,
+ *   which are signalled as a whole. Hence they don't get signals, sent to
+ *   the terminal's process group, e.g. SIGINT on Ctrl-C, so scripts cancel
+ *   the operation on such signals (see cordova/build).
+ */
+function Cancellation() {
+    /**
+     * Error, operation is rejected with once cancelled, or null.
+     */
+    this.reason = null;
+    this._processes = [];
+    this._stopped = null;
+    this._timer = null;
+}
+
+/**
+ * Cancels the operation: stops all tracked processes and makes further
+ *   'throwIfCancelled' and 'spawn' calls fail with the reason.
+ *
+ * @param   {String|Error}  [reason]  Why operation is cancelled.
+ *
+ * @return  {Promise}                 Promise, fulfilled once all processes
+ *   have exited.
+ */
+Cancellation.prototype.cancel = function (reason) {
+    if (this._stopped) return this._stopped;
+
+    this.reason = reason instanceof Error ? reason : new CordovaError(reason || 'Build was cancelled.');
+    this.dispose();
+    events.emit('verbose', this.reason.message + ' Stopping ' + this._processes.length + ' running process(es).');
+
+    this._stopped = Q.all(this._processes.map(killTree)).thenResolve();
+    return this._stopped;
+};
+
+/**
+ * Cancels the operation, if it doesn't complete in given time. The timer
+ *   is stopped by 'dispose'.
+ *
+ * @param   {Number}  seconds  Timeout.
+ */
+Cancellation.prototype.cancelAfter = function (seconds) {
+    var self = this;
+    this.dispose();
+    this._timer = setTimeout(function () {
+        self.cancel('Build has not completed in ' + seconds + ' seconds (see --buildTimeout).');
+    }, seconds * 1000);
+};
+
+/**
+ * Stops the timer, started by 'cancelAfter'. Should be called once the
+ *   operation completes.
+ */
+Cancellation.prototype.dispose = function () {
+    clearTimeout(this._timer);
+    this._timer = null;
+};
+
+/**
+ * @throws  {CordovaError}  The reason, if the operation has been cancelled.
+ */
+Cancellation.prototype.throwIfCancelled = function () {
+    if (this.reason) throw this.reason;
+};
+
+/**
+ * Spawns a process, which is stopped on cancellation, along with its
+ *   descendants. The process is stopped right away if the operation has
+ *   already been cancelled.
+ *
+ * @param   {String}    cmd     A command to spawn.
+ * @param   {String[]}  args    Command arguments.
+ * @param   {Object}    [opts]  Options for child_process.spawn.
+ *
+ * @return  {ChildProcess}      Spawned process.
+ */
+Cancellation.prototype.start = function (cmd, args, opts) {
+    var spawnOpts = {};
+    Object.keys(opts || {}).forEach(function (key) {
+        spawnOpts[key] = opts[key];
+    });
+    // Leader of a new process group, so the group id is the process' id
+    spawnOpts.detached = process.platform !== 'win32';
+
+    var proc = child_process.spawn(cmd, args, spawnOpts);
+    var processes = this._processes;
+    processes.push(proc);
+    // Processes, which failed to spawn, emit 'error' instead of 'exit'
+    function untrack() {
+        if (processes.indexOf(proc) >= 0) processes.splice(processes.indexOf(proc), 1);
+    }
+    proc.on('exit', untrack);
+    proc.on('error', untrack);
+
+    if (this._stopped) killTree(proc);
+    return proc;
+};
+
+/**
+ * Spawns a tracked process with the same stdin and stderr as the current one.
+ *   Its stdout is forwarded through process.stdout, so that it could be
+ *   redirected, e.g. by JsonLogger. Unlike superspawn, it lets the process be
+ *   stopped on cancellation.
+ *
+ * @param   {String}    cmd   A command to spawn.
+ * @param   {String[]}  args  Command arguments.
+ *
+ * @return  {Promise}         Promise, fulfilled once the process exits with
+ *   zero code, rejected with CordovaError otherwise or with the reason of
+ *   cancellation.
+ */
+Cancellation.prototype.spawn = function (cmd, args) {
+    var self = this;
+    var opts = { stdio: ['inherit', 'pipe', 'inherit'] };
+
+    if (process.platform === 'win32') {
+        // Work around spawn not being able to find .bat files.
+        args = ['/s', '/c', '"' + [cmd].concat(args).map(function (a) {
+            return /^[^"].* .*[^"]/.test(a) ? '"' + a + '"' : a;
+        }).join(' ') + '"'];
+        cmd = 'cmd';
+        opts.windowsVerbatimArguments = true;
+    }
+
+    return Q().then(function () {
+        self.throwIfCancelled();
+        events.emit('verbose', 'Running command: ' + cmd + ' ' + args.join(' '));
+
+        return Q.Promise(function (resolve, reject) {
+            var proc = self.start(cmd, args, opts);
+            proc.stdout.on('data', function (data) {
+                process.stdout.write(data);
+            });
+            proc.on('error', reject);
+            proc.on('close', function (code) {
+                if (self.reason) {
+                    reject(self.reason);
+                } else if (code) {
+                    reject(new CordovaError('Error code ' + code + ' for command: ' + cmd + ' with args: ' + args));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    });
+};
+
+module.exports = Cancellation;
+
+// Stops the process and its descendants: SIGTERM first, SIGKILL for those
+// still running after KILL_TIMEOUT. Windows' taskkill handles the tree itself.
+function killTree(proc) {
+    if (!proc.pid || proc.exitCode !== null || proc.signalCode !== null) return Q();
+
+    var exited = Q.Promise(function (resolve) {
+        proc.on('exit', resolve);
+    });
+
+    if (process.platform === 'win32') {
+        child_process.spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F']).on('error', function () {});
+        return exited;
+    }
+
+    signalGroup(proc, 'SIGTERM');
+    var timer = setTimeout(function () {
+        events.emit('verbose', 'Processes have not exited after SIGTERM, killing them.');
+        signalGroup(proc, 'SIGKILL');
+    }, KILL_TIMEOUT);
+
+    return exited.finally(function () {
+        clearTimeout(timer);
+        // Descendants could outlive the process itself. The group id is not
+        // reused while any of them is running.
+        signalGroup(proc, 'SIGKILL');
+    });
+}
+
+// Signals the process group, led by the process
+function signalGroup(proc, name) {
+    try {
+        process.kill(-proc.pid, name);
+    } catch (err) {
+        // The whole group has already exited
+    }
+}
@@ -22,6 +22,18 @@ var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var CordovaError = require('cordova-common').CordovaError;
 
+/**
+ * @typedef  {Object}  ProgressEvent  Payload of 'progress' event, emitted by
+ *   build and run.
+ *
+ * @property  {String}  phase       Name of phase, e.g. 'prepEnv', 'build',
+ *   'report', 'target', 'boot' or 'deploy'.
+ * @property  {Number}  percentage  Completion of phase from 0 to 100, or null
+ *   if it is unknown, e.g. while waiting for emulator to boot.
+ * @property  {String}  target      Id of device or emulator the app is built
+ *   or deployed for, or null if there is none.
+ */
+
 /**
  * @class ConsoleLogger
  * @extends EventEmitter
@@ -56,6 +68,11 @@ function ConsoleLogger() {
     this.on('info', console.log);
     this.on('log', console.log);
     this.on('warn', console.warn);
+    this.on('progress', function (progress) {
+        if (isVerbose)
+            console.log('[' + progress.phase + (progress.target ? ' ' + progress.target : '') + '] ' +
+                (progress.percentage === null ? '...' : progress.percentage + '%'));
+    });
 }
 util.inherits(ConsoleLogger, EventEmitter);
 
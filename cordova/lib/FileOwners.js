@@ -0,0 +1,154 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var CordovaError = require('cordova-common').CordovaError;
+var pluginHandlers = require('./pluginHandlers');
+var events = require('./events');
+
+/**
+ * @class FileOwners
+ *
+ * Registry of files, written to platform by plugin handlers. Maps each file's
+ *   path, relative to platform root, to id of plugin that owns it. The
+ *   registry is stored in platform json under 'file_owners' key.
+ *
+ * @param   {PlatformJson}  platformJson  Platform json to store registry in.
+ * @param   {String}        root          Platform root directory.
+ */
+function FileOwners(platformJson, root) {
+    this.platformJson = platformJson;
+    this.root = root;
+}
+
+/**
+ * Gets the owner of file.
+ *
+ * @param   {String}  file  Absolute path to file or directory.
+ *
+ * @return  {String}        Id of plugin that owns file or undefined if file
+ *   is not owned by any plugin.
+ */
+FileOwners.prototype.getOwner = function (file) {
+    return (this.platformJson.root.file_owners || {})[this._key(file)];
+};
+
+FileOwners.prototype.setOwner = function (file, pluginId) {
+    this.platformJson.root.file_owners = this.platformJson.root.file_owners || {};
+    this.platformJson.root.file_owners[this._key(file)] = pluginId;
+    this.platformJson.save();
+};
+
+FileOwners.prototype.release = function (file) {
+    if (this.platformJson.root.file_owners) {
+        delete this.platformJson.root.file_owners[this._key(file)];
+        this.platformJson.save();
+    }
+};
+
+/**
+ * Gets files, owned by plugin.
+ *
+ * @param   {String}  pluginId  Id of plugin.
+ *
+ * @return  {String[]}          Sorted list of paths, relative to platform
+ *   root.
+ */
+FileOwners.prototype.getFiles = function (pluginId) {
+    var owners = this.platformJson.root.file_owners || {};
+    return Object.keys(owners)
+    .filter(function (file) {
+        return owners[file] === pluginId;
+    })
+    .sort();
+};
+
+/**
+ * Wraps an installer from pluginHandlers so that it refuses to overwrite a
+ *   file, owned by another plugin, unless 'force' install option is set, and
+ *   records plugin as the owner of installed file.
+ *
+ * @param   {Function}  installer  A pluginHandlers installer.
+ *
+ * @return  {Function}             Wrapped installer.
+ */
+FileOwners.prototype.guardInstaller = function (installer) {
+    var self = this;
+    return installer && function (item, plugin, project, options) {
+        var destination = pluginHandlers.getDestination(item, plugin, project, options);
+        if (!destination) return installer.apply(null, arguments);
+
+        var owner = self.getOwner(destination);
+        var force = options && options.force;
+
+        if (owner && owner !== plugin.id) {
+            if (!force) {
+                throw new CordovaError('Plugin "' + plugin.id + '" can not install "' + self._key(destination) +
+                    '" since this file is owned by plugin "' + owner + '". Use --force option to take it over.');
+            }
+            events.emit('warn', 'Plugin "' + plugin.id + '" takes over "' + self._key(destination) +
+                '" from plugin "' + owner + '"');
+        }
+
+        // Some installers refuse to overwrite existing files, so get rid of the
+        // file that is being deliberately replaced. Files, which are not owned
+        // by any plugin, could have been created by user, so they are never
+        // removed and are left for installer to deal with.
+        if (force && owner && owner !== plugin.id && fs.existsSync(destination)) {
+            shell.rm('-Rf', destination);
+        }
+
+        installer.apply(null, arguments);
+        self.setOwner(destination, plugin.id);
+    };
+};
+
+/**
+ * Wraps an uninstaller from pluginHandlers so that it never removes a file,
+ *   owned by another plugin, and releases the ownership of removed file.
+ *
+ * @param   {Function}  uninstaller  A pluginHandlers uninstaller.
+ *
+ * @return  {Function}               Wrapped uninstaller.
+ */
+FileOwners.prototype.guardUninstaller = function (uninstaller) {
+    var self = this;
+    return uninstaller && function (item, plugin, project, options) {
+        var destination = pluginHandlers.getDestination(item, plugin, project, options);
+        if (!destination) return uninstaller.apply(null, arguments);
+
+        var owner = self.getOwner(destination);
+        if (owner && owner !== plugin.id) {
+            events.emit('verbose', 'Leaving "' + self._key(destination) + '" in place since it is owned by plugin "' +
+                owner + '"');
+            return;
+        }
+
+        uninstaller.apply(null, arguments);
+        self.release(destination);
+    };
+};
+
+FileOwners.prototype._key = function (file) {
+    return path.relative(this.root, file).replace(/\\/g, '/');
+};
+
+module.exports = FileOwners;
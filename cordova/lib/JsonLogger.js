@@ -0,0 +1,111 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var loggerInstance;
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+
+// Events with a message, passed as console.log-like arguments
+var MESSAGE_EVENTS = ['results', 'verbose', 'info', 'log', 'warn'];
+// Events with a single object, which properties are written as is
+var OBJECT_EVENTS = ['progress', 'diagnostic'];
+
+/**
+ * @class JsonLogger
+ * @extends EventEmitter
+ *
+ * Logger for machine consumers, e.g. IDEs and CI. Writes each event, emitted
+ *   on this class instance, to stdout as a single line of JSON with 'type'
+ *   property set to event name:
+ *
+ *     {"type":"log","message":"Built the following apk(s): ..."}
+ *     {"type":"progress","phase":"build","percentage":50,"target":null}
+ *
+ * Operation outcome is written by 'result' and 'error' methods. To keep
+ *   stdout parsable, anything else written to process.stdout, e.g. build
+ *   tool output, is redirected to stderr.
+ */
+function JsonLogger() {
+    EventEmitter.call(this);
+
+    this._write = process.stdout.write.bind(process.stdout);
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+
+    var self = this;
+    process.on('uncaughtException', function(err) {
+        self.error(err);
+        process.exit(1);
+    });
+
+    MESSAGE_EVENTS.forEach(function (type) {
+        this.on(type, function () {
+            self._writeEvent(type, { message: util.format.apply(util, arguments) });
+        });
+    }, this);
+
+    OBJECT_EVENTS.forEach(function (type) {
+        this.on(type, function (data) {
+            self._writeEvent(type, data);
+        });
+    }, this);
+}
+util.inherits(JsonLogger, EventEmitter);
+
+/**
+ * Returns already instantiated/newly created instance of JsonLogger class.
+ *   See ConsoleLogger.get for reasons.
+ *
+ * @return  {JsonLogger}  New or already created instance of JsonLogger
+ */
+JsonLogger.get = function () {
+    loggerInstance = loggerInstance || new JsonLogger();
+    return loggerInstance;
+};
+
+/**
+ * Writes the final result of operation.
+ *
+ * @param   {*}  result  Result of operation, e.g. build artifacts.
+ */
+JsonLogger.prototype.result = function (result) {
+    this._writeEvent('result', { result: result === undefined ? null : result });
+};
+
+/**
+ * Writes the error, operation has failed with.
+ *
+ * @param   {Error|String}  err  Error, operation has been rejected with.
+ */
+JsonLogger.prototype.error = function (err) {
+    this._writeEvent('error', {
+        name: err && err.name || 'Error',
+        message: err && err.message || String(err),
+        stack: err && err.stack
+    });
+};
+
+JsonLogger.prototype._writeEvent = function (type, data) {
+    var line = { type: type };
+    Object.keys(data || {}).forEach(function (key) {
+        line[key] = data[key];
+    });
+    this._write(JSON.stringify(line) + '\n');
+};
+
+module.exports = JsonLogger;
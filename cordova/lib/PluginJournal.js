@@ -0,0 +1,222 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('./events');
+
+var JOURNAL_FILE = 'plugin-journal.json';
+
+/**
+ * @class PluginJournal
+ *
+ * Persistent record of a plugin install/uninstall/update operation in progress. Every
+ *   handler step and every post-step (writing project.properties, saving the
+ *   config munge, updating cordova_plugins.js) is written to disk as soon as
+ *   its state changes, so that an operation interrupted by a crash can be
+ *   detected and either resumed or rolled back on next run.
+ *
+ * The journal file only exists while an operation is in progress and is
+ *   removed once the operation completes or fails cleanly.
+ *
+ * @param   {String}  projectDir  Platform root directory, where journal file
+ *   is stored.
+ */
+function PluginJournal(projectDir) {
+    this.path = path.join(projectDir, JOURNAL_FILE);
+    this.operation = null;
+
+    if (fs.existsSync(this.path)) {
+        try {
+            this.operation = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+        } catch (err) {
+            // Nothing could be recovered from unreadable journal, so it is
+            // moved aside to let plugin operations proceed.
+            shell.mv('-f', this.path, this.path + '.corrupt');
+            events.emit('warn', 'Plugin journal ' + this.path + ' is corrupt (' + err.message + ') and has been ' +
+                'moved to ' + this.path + '.corrupt. The last plugin operation might have been left incomplete, ' +
+                'reinstall the plugin if it doesn\'t work.');
+        }
+    }
+}
+
+/**
+ * Indicates whether there is an unfinished operation recorded in journal.
+ *
+ * @return  {Boolean}  true if journal contains an interrupted operation.
+ */
+PluginJournal.prototype.isInterrupted = function () {
+    return !!this.operation;
+};
+
+/**
+ * Starts recording a new operation and dumps it to disk.
+ *
+ * @param   {String}      action   Either 'add' or 'remove'. See 'beginUpdate'
+ *   for updates.
+ * @param   {PluginInfo}  plugin   A PluginInfo instance for plugin being
+ *   processed.
+ * @param   {Object[]}    items    Plugin items (source files, frameworks,
+ *   assets, js-modules) in the order they will be processed.
+ * @param   {Object}      options  Install/uninstall options, needed to repeat
+ *   the operation later.
+ * @param   {Object}      [variables]  Variables plugin is installed with. On
+ *   uninstall, plugin's record in platform json is removed along with its
+ *   config changes, so they are kept here to restore the changes on rollback.
+ */
+PluginJournal.prototype.begin = function (action, plugin, items, options, variables) {
+    this.operation = {
+        action: action,
+        plugin: {
+            id: plugin.id,
+            version: plugin.version,
+            dir: plugin.dir
+        },
+        options: options || {},
+        variables: variables || {},
+        started: new Date().toISOString(),
+        steps: items.map(function (item) {
+            return {
+                type: item.itemType,
+                src: item.src,
+                target: item.target || item.targetDir,
+                status: 'pending'
+            };
+        }),
+        postSteps: {}
+    };
+    this.save();
+};
+
+/**
+ * Starts recording a plugin update and dumps it to disk. Unlike install and
+ *   uninstall, update processes only the items which differ between plugin
+ *   versions, so every step records the version and the index of item it
+ *   processes, along with whether item is installed or uninstalled.
+ *
+ * @param   {PluginInfo}  oldPlugin  Currently installed plugin version.
+ * @param   {PluginInfo}  newPlugin  Plugin version to update to.
+ * @param   {Object[]}    steps      Steps in the order they will be
+ *   processed, each with 'action' ('install' or 'uninstall'), 'plugin'
+ *   ('old' or 'new'), 'index' (of item in plugin's items) and 'item'.
+ * @param   {Object}      options    Update options, needed to repeat the
+ *   operation later.
+ * @param   {Object}      previous   Installed plugin's 'variables' and
+ *   'isTopLevel' flag, needed to roll the update back.
+ */
+PluginJournal.prototype.beginUpdate = function (oldPlugin, newPlugin, steps, options, previous) {
+    this.operation = {
+        action: 'update',
+        plugin: {
+            id: newPlugin.id,
+            version: newPlugin.version,
+            dir: newPlugin.dir
+        },
+        previous: {
+            id: oldPlugin.id,
+            version: oldPlugin.version,
+            dir: oldPlugin.dir,
+            variables: previous.variables || {},
+            isTopLevel: previous.isTopLevel
+        },
+        options: options || {},
+        started: new Date().toISOString(),
+        steps: steps.map(function (step) {
+            return {
+                action: step.action,
+                plugin: step.plugin,
+                index: step.index,
+                type: step.item.itemType,
+                src: step.item.src,
+                target: step.item.target || step.item.targetDir,
+                status: 'pending'
+            };
+        }),
+        postSteps: {}
+    };
+    this.save();
+};
+
+/**
+ * Wraps an ActionStack handler so that the step state is journaled before and
+ *   after the handler runs.
+ *
+ * @param   {Number}    index        Index of the step in operation.
+ * @param   {Function}  handler      A pluginHandlers installer/uninstaller.
+ * @param   {String}    startStatus  Status to record before running handler.
+ * @param   {String}    endStatus    Status to record after handler completes.
+ *
+ * @return  {Function}               Wrapped handler
+ */
+PluginJournal.prototype.track = function (index, handler, startStatus, endStatus) {
+    var self = this;
+    return function () {
+        self.setStepStatus(index, startStatus);
+        if (handler) {
+            handler.apply(null, arguments);
+        }
+        self.setStepStatus(index, endStatus);
+    };
+};
+
+PluginJournal.prototype.setStepStatus = function (index, status) {
+    this.operation.steps[index].status = status;
+    this.save();
+};
+
+PluginJournal.prototype.isPostStepDone = function (name) {
+    return !!this.operation.postSteps[name];
+};
+
+PluginJournal.prototype.markPostStepDone = function (name) {
+    this.operation.postSteps[name] = true;
+    this.save();
+};
+
+/**
+ * Runs a post-step, unless it is recorded as done, and records it as done.
+ *
+ * @param   {String}    name  Post-step name.
+ * @param   {Function}  step  Function that performs the post-step.
+ */
+PluginJournal.prototype.runPostStep = function (name, step) {
+    if (!this.isPostStepDone(name)) {
+        step();
+        this.markPostStepDone(name);
+    }
+};
+
+/**
+ * Removes journal from disk, marking current operation as finished.
+ */
+PluginJournal.prototype.finish = function () {
+    this.operation = null;
+    shell.rm('-f', this.path);
+};
+
+// Journal is written to a temporary file first, which is then renamed, so
+// that a crash in the middle of writing doesn't leave a truncated journal.
+PluginJournal.prototype.save = function () {
+    var tempPath = this.path + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(this.operation, null, 4), 'utf-8');
+    fs.renameSync(tempPath, this.path);
+};
+
+module.exports = PluginJournal;
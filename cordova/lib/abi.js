@@ -0,0 +1,129 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var path = require('path');
+var CordovaError = require('cordova-common').CordovaError;
+
+var UNIVERSAL = 'universal';
+
+// Preference order, used when device's ABIs are unknown
+var DEFAULT_ABIS = ['arm64-v8a', 'armeabi-v7a', 'x86_64', 'x86'];
+
+// Patterns of ABI suffixes in APK names, both the ones produced by
+// build.gradle ('-armv7', '-x86') and by ABI splits ('-arm64-v8a'). More
+// specific patterns go first.
+var APK_NAME_PATTERNS = [
+    { pattern: /-(arm64-v8a|arm64)(?=[-.])/, abi: 'arm64-v8a' },
+    { pattern: /-(armeabi-v7a|armv7|arm)(?=[-.])/, abi: 'armeabi-v7a' },
+    { pattern: /-armeabi(?=[-.])/, abi: 'armeabi' },
+    { pattern: /-x86_64(?=[-.])/, abi: 'x86_64' },
+    { pattern: /-x86(?=[-.])/, abi: 'x86' }
+];
+
+// ABIs, for which build.gradle could build separate APKs, mapped to values of
+// cdvBuildArch property
+var BUILD_ARCHS = {
+    'armeabi-v7a': 'arm',
+    'x86': 'x86'
+};
+
+module.exports.UNIVERSAL = UNIVERSAL;
+
+/**
+ * Gets ABI of APK from its name.
+ *
+ * @param   {String}  apkPath  Path to APK.
+ *
+ * @return  {String}           ABI name, e.g. 'arm64-v8a', or 'universal' if
+ *   APK is not ABI-specific.
+ */
+module.exports.getApkAbi = function (apkPath) {
+    var apkName = path.basename(apkPath);
+    var match = APK_NAME_PATTERNS.filter(function (candidate) {
+        return candidate.pattern.exec(apkName);
+    })[0];
+    return match ? match.abi : UNIVERSAL;
+};
+
+/**
+ * Gets the value of build.gradle's cdvBuildArch property, that is the best for
+ *   device with given ABIs.
+ *
+ * @param   {String[]}  abis  Device's ABIs in order of preference.
+ *
+ * @return  {String}          'arm', 'x86' or undefined if build.gradle can't
+ *   build APK for any of ABIs.
+ */
+module.exports.getBuildArch = function (abis) {
+    var supported = (abis || []).filter(function (abi) {
+        return BUILD_ARCHS[abi];
+    })[0];
+    return supported && BUILD_ARCHS[supported];
+};
+
+/**
+ * Chooses APK, that is the best for device. APKs, built for device's ABIs,
+ *   are ranked by device's preference order and are preferred to universal
+ *   ones. If device's ABIs are unknown, APKs are ranked in order of
+ *   arm64-v8a, armeabi-v7a, x86_64, x86 and universal ones.
+ *
+ * @param   {String[]}  apkPaths  Candidate APKs, most preferred first if
+ *   there are several APKs with the same ABI.
+ * @param   {String[]}  [abis]    Device's ABIs in order of preference, as
+ *   reported by 'ro.product.cpu.abilist' property.
+ *
+ * @return  {Object}              Chosen APK with 'path', 'abi' and 'reason'
+ *   properties, where 'reason' is a human-readable explanation of choice.
+ *
+ * @throws  {CordovaError}        If none of APKs is compatible with device.
+ */
+module.exports.selectApk = function (apkPaths, abis) {
+    var known = abis && abis.length > 0;
+    var preference = known ? abis : DEFAULT_ABIS;
+    var candidates = apkPaths.map(function (apkPath) {
+        return { path: apkPath, abi: module.exports.getApkAbi(apkPath) };
+    });
+
+    var best = candidates.reduce(function (result, candidate) {
+        var rank = preference.indexOf(candidate.abi);
+        return rank >= 0 && (!result || rank < result.rank) ? { candidate: candidate, rank: rank } : result;
+    }, null);
+    if (best) {
+        var chosen = best.candidate;
+        chosen.reason = !known ? 'device ABIs are unknown, "' + chosen.abi + '" APK is ranked highest' :
+            best.rank === 0 ? 'APK is built for "' + chosen.abi + '", which is device\'s primary ABI' :
+            'APK is built for "' + chosen.abi + '", which is #' + (best.rank + 1) + ' in device\'s ABI list (' +
+                abis.join(', ') + ') and no APK is built for preceding ones';
+        return chosen;
+    }
+
+    var universal = candidates.filter(function (candidate) {
+        return candidate.abi === UNIVERSAL;
+    })[0];
+    if (universal) {
+        universal.reason = candidates.length === 1 ? 'the only APK, which is universal' :
+            'universal APK, since no APK is built for device ABIs (' + preference.join(', ') + ')';
+        return universal;
+    }
+
+    throw new CordovaError('None of APKs is compatible with device ABIs (' + preference.join(', ') + '): ' +
+        candidates.map(function (candidate) {
+            return path.basename(candidate.path) + ' (' + candidate.abi + ')';
+        }).join(', '));
+};
@@ -22,15 +22,28 @@
 var Q       = require('q'),
     path    = require('path'),
     fs      = require('fs'),
-    nopt = require('nopt');
+    nopt = require('nopt'),
+    shell = require('shelljs');
 
 var Adb = require('./Adb');
 
 var builders = require('./builders/builders');
+var secrets = require('./secrets');
+var buildJson = require('./buildJson');
+var flavors = require('./flavors');
+var buildReport = require('./buildReport');
+var fingerprint = require('./fingerprint');
+var Cancellation = require('./Cancellation');
+var installedPlugins = require('./installedPlugins');
+var AndroidManifest = require('./AndroidManifest');
+var abi = require('./abi');
+var versionCode = require('./versionCode');
 var events = require('cordova-common').events;
 var spawn = require('cordova-common').superspawn.spawn;
 var CordovaError = require('cordova-common').CordovaError;
 
+var SIGNING_PROPERTIES = '-signing.properties';
+
 function parseOpts(options, resolvedTarget, projectRoot) {
     options = options || {};
     options.argv = nopt({
@@ -38,33 +51,51 @@ function parseOpts(options, resolvedTarget, projectRoot) {
         ant: Boolean,
         prepenv: Boolean,
         versionCode: String,
+        versionCodeStrategy: String,
         minSdkVersion: String,
         gradleArg: String,
         keystore: path,
         alias: String,
         storePassword: String,
         password: String,
-        keystoreType: String
+        keystoreType: String,
+        flavor: String,
+        force: Boolean,
+        upgradeDependencies: Boolean,
+        buildTimeout: Number
     }, {}, options.argv, 0);
 
     var ret = {
         buildType: options.release ? 'release' : 'debug',
         buildMethod: process.env.ANDROID_BUILD || 'gradle',
         prepEnv: options.argv.prepenv,
+        force: options.argv.force,
+        upgradeDependencies: options.argv.upgradeDependencies,
+        buildTimeout: options.argv.buildTimeout,
+        target: resolvedTarget && resolvedTarget.target,
         arch: resolvedTarget && resolvedTarget.arch,
+        abis: resolvedTarget && resolvedTarget.abis,
         extraArgs: []
     };
 
+    if (ret.buildTimeout !== undefined && (isNaN(ret.buildTimeout) || ret.buildTimeout <= 0)) {
+        throw new CordovaError('--buildTimeout should be a positive number of seconds.');
+    }
+
     if (options.argv.ant || options.argv.gradle)
         ret.buildMethod = options.argv.ant ? 'ant' : 'gradle';
 
     if (options.nobuild) ret.buildMethod = 'none';
 
-    if (options.argv.versionCode)
+    if (options.argv.versionCode) {
+        ret.versionCode = options.argv.versionCode;
         ret.extraArgs.push('-PcdvVersionCode=' + options.argv.versionCode);
+    }
 
-    if (options.argv.minSdkVersion)
+    if (options.argv.minSdkVersion) {
+        ret.minSdkVersion = options.argv.minSdkVersion;
         ret.extraArgs.push('-PcdvMinSdkVersion=' + options.argv.minSdkVersion);
+    }
 
     if (options.argv.gradleArg)
         ret.extraArgs.push(options.argv.gradleArg);
@@ -79,7 +110,13 @@ function parseOpts(options, resolvedTarget, projectRoot) {
             packageArgs[flagName] = options.argv[flagName];
     });
 
+    ['storePassword', 'password'].forEach(function (key) {
+        if (packageArgs[key])
+            packageArgs[key] = secrets.resolve(packageArgs[key]);
+    });
+
     var buildConfig = options.buildConfig;
+    var config;
 
     // If some values are not specified as command line arguments - use build config to supplement them.
     // Command line arguemnts have precedence over build config.
@@ -88,9 +125,7 @@ function parseOpts(options, resolvedTarget, projectRoot) {
             throw new Error('Specified build config file does not exist: ' + buildConfig);
         }
         events.emit('log', 'Reading build config file: '+ path.resolve(buildConfig));
-        var buildjson = fs.readFileSync(buildConfig, 'utf8');
-        //var config = JSON.parse(fs.readFileSync(buildConfig, 'utf8'));
-        var config = JSON.parse(buildjson);
+        config = buildJson.load(buildConfig);
         if (config.android && config.android[ret.buildType]) {
             var androidInfo = config.android[ret.buildType];
             if(androidInfo.keystore && !packageArgs.keystore) {
@@ -104,6 +139,13 @@ function parseOpts(options, resolvedTarget, projectRoot) {
             ['alias', 'storePassword', 'password','keystoreType'].forEach(function (key){
                 packageArgs[key] = packageArgs[key] || androidInfo[key];
             });
+
+            // Secret references in build config are relative to its location
+            ['storePassword', 'password'].forEach(function (key) {
+                if (androidInfo[key] && packageArgs[key] === androidInfo[key]) {
+                    packageArgs[key] = secrets.resolve(androidInfo[key], path.dirname(path.resolve(buildConfig)));
+                }
+            });
         }
     }
 
@@ -118,19 +160,40 @@ function parseOpts(options, resolvedTarget, projectRoot) {
         }
     }
 
+    ret.systemLibraryMappings = config && config.android && config.android.systemLibraryMappings;
+    ret.dependencyResolutions = config && config.android && config.android.dependencyResolutions;
+
+    ret.versionCodeStrategy = options.argv.versionCodeStrategy ||
+        (config && config.android && config.android.versionCodeStrategy);
+
+    ret.flavors = flavors.select(config, options.argv.flavor);
+    // Only one app could be deployed by 'run' command
+    if (resolvedTarget && ret.flavors && ret.flavors.length > 1) {
+        events.emit('warn', 'Multiple flavors are declared in build config, using "' + ret.flavors[0].name +
+            '". Use --flavor option to choose another one.');
+        ret.flavors = ret.flavors.slice(0, 1);
+    }
+
     return ret;
 }
 
 /*
- * Builds the project with the specifed options
- * Returns a promise.
+ * Cleans the project with the specifed options
+ * Returns a promise. Optional Cancellation stops the clean.
  */
-module.exports.runClean = function(options) {
+module.exports.runClean = function(options, cancellation) {
     var opts = parseOpts(options, null, this.root);
+    opts.systemLibraryOwners = installedPlugins.getSystemLibraryOwners.call(this);
     var builder = builders.getBuilder(opts.buildMethod);
-    return builder.prepEnv(opts)
-    .then(function() {
-        return builder.clean(opts);
+    var self = this;
+    return cancellable(opts, cancellation, function() {
+        return builder.prepEnv(opts)
+        .then(function() {
+            return builder.clean(opts);
+        })
+        .finally(function() {
+            removeSigningProperties(self.root, opts);
+        });
     });
 };
 
@@ -142,47 +205,260 @@ module.exports.runClean = function(options) {
  * @param   {Object}  optResolvedTarget  A deployment target. Used to pass
  *   target architecture from upstream 'run' call. TODO: remove this option in
  *   favor of setting buildOptions.archs field.
+ * @param   {Cancellation}  [cancellation]  Cancellation, which stops the
+ *   build. A new one is used if not given. '--buildTimeout' argument cancels
+ *   the build after given number of seconds.
  *
  * @return  {Promise<Object>}            Promise, resolved with built packages
- *   information.
+ *   information. If build config declares flavors, 'flavors' property
+ *   contains the list of built flavors' names and packages. 'artifacts'
+ *   property contains detailed description of each package, which is also
+ *   written to build-report.json (see lib/buildReport).
  */
-module.exports.run = function(options, optResolvedTarget) {
+module.exports.run = function(options, optResolvedTarget, cancellation) {
     var opts = parseOpts(options, optResolvedTarget, this.root);
     var builder = builders.getBuilder(opts.buildMethod);
     var self = this;
-    return builder.prepEnv(opts)
-    .then(function() {
-        if (opts.prepEnv) {
-            self.events.emit('verbose', 'Build file successfully prepared.');
-            return;
-        }
-        return builder.build(opts)
-        .then(function() {
-            var apkPaths = builder.findOutputApks(opts.buildType, opts.arch);
-            self.events.emit('log', 'Built the following apk(s): \n\t' + apkPaths.join('\n\t'));
-            return {
-                apkPaths: apkPaths,
-                buildType: opts.buildType,
-                buildMethod: opts.buildMethod
-            };
+
+    var inputsFingerprint = null;
+    return cancellable(opts, cancellation, function() {
+        return Q().then(function() {
+            if (opts.buildMethod === 'none' || opts.prepEnv) return;
+
+            return versionCode.apply.call(self, opts)
+            .then(function() {
+                inputsFingerprint = fingerprint.compute.call(self, opts);
+                return findUnchangedBuild(self.root, inputsFingerprint);
+            });
+        })
+        .then(function(previousResults) {
+            if (previousResults && !opts.force) {
+                self.events.emit('log', 'Build inputs have not changed since the last build, skipping it. Use --force option to rebuild.');
+                self.events.emit('log', 'Built the following apk(s): \n\t' + previousResults.apkPaths.join('\n\t'));
+                emitProgress('build', 100, opts);
+                return previousResults;
+            }
+
+            opts.cancellation.throwIfCancelled();
+            return build();
         });
     });
+
+    function build() {
+        var durations = {};
+        var started = Date.now();
+        var keepSigningProperties = false;
+        // Plugins are named in reports of system library version conflicts
+        opts.systemLibraryOwners = installedPlugins.getSystemLibraryOwners.call(self);
+        emitProgress('prepEnv', 0, opts);
+        return builder.prepEnv(opts)
+        .then(function() {
+            durations.prepEnv = Date.now() - started;
+            emitProgress('prepEnv', 100, opts);
+            // Environment preparation rewrites build files and locks system
+            // library versions, so the next build's inputs are compared
+            // against the prepared ones.
+            if (inputsFingerprint) {
+                inputsFingerprint = fingerprint.compute.call(self, opts);
+            }
+            if (opts.prepEnv) {
+                // Prepared project is then built by user, so it is signed too
+                keepSigningProperties = true;
+                self.events.emit('verbose', 'Build file successfully prepared.');
+                return;
+            }
+
+            return buildVariants.call(self, builder, opts)
+            .then(function(variants) {
+                var apkPaths = variants.reduce(function(apkPaths, variant) {
+                    return apkPaths.concat(variant.apkPaths);
+                }, []);
+                self.events.emit('log', 'Built the following apk(s): \n\t' + apkPaths.join('\n\t'));
+
+                emitProgress('report', 0, opts);
+                return buildReport.create.call(self, variants, opts, durations, inputsFingerprint)
+                .then(function(report) {
+                    emitProgress('report', 100, opts);
+                    return {
+                        apkPaths: apkPaths,
+                        buildType: opts.buildType,
+                        buildMethod: opts.buildMethod,
+                        flavors: opts.flavors && variants.map(function(variant) {
+                            return { name: variant.name, apkPaths: variant.apkPaths };
+                        }),
+                        artifacts: report.artifacts
+                    };
+                });
+            });
+        })
+        .finally(function() {
+            if (!keepSigningProperties) {
+                removeSigningProperties(self.root, opts);
+            }
+        });
+    }
 };
 
+// Signing properties, written by prepEnv, could contain passwords, so they are
+// not left on disk once the build or clean is done or has failed.
+function removeSigningProperties(projectRoot, opts) {
+    if (opts.packageInfo) {
+        shell.rm('-f', path.join(projectRoot, opts.buildType + SIGNING_PROPERTIES));
+    }
+}
+
+// Runs build operation with cancellation, which stops spawned build tools. The
+// cancellation is started by --buildTimeout, if given.
+function cancellable(opts, cancellation, operation) {
+    opts.cancellation = cancellation || new Cancellation();
+    if (opts.buildTimeout) opts.cancellation.cancelAfter(opts.buildTimeout);
+
+    return Q().then(function() {
+        // Cancellation could come before the operation starts, e.g. during hooks
+        opts.cancellation.throwIfCancelled();
+        return operation();
+    })
+    .catch(function(err) {
+        // Stopped tools fail with their own errors, report cancellation instead
+        opts.cancellation.throwIfCancelled();
+        throw err;
+    })
+    .finally(function() {
+        opts.cancellation.dispose();
+    });
+}
+
+// Returns results of the last build, if it was made from the inputs with the
+// same fingerprint and all its packages still exist, otherwise returns null.
+function findUnchangedBuild(projectRoot, inputsFingerprint) {
+    var report = buildReport.read(projectRoot);
+    if (!report || report.fingerprint !== inputsFingerprint || report.artifacts.length === 0) return null;
+
+    var intact = report.artifacts.every(function(artifact) {
+        return fs.existsSync(artifact.path) && fs.statSync(artifact.path).size === artifact.size;
+    });
+    if (!intact) return null;
+
+    var flavorResults = [];
+    report.artifacts.forEach(function(artifact) {
+        if (!artifact.flavor) return;
+        var flavorResult = flavorResults.filter(function(candidate) {
+            return candidate.name === artifact.flavor;
+        })[0];
+        if (!flavorResult) {
+            flavorResult = { name: artifact.flavor, apkPaths: [] };
+            flavorResults.push(flavorResult);
+        }
+        flavorResult.apkPaths.push(artifact.path);
+    });
+
+    return {
+        apkPaths: report.artifacts.map(function(artifact) {
+            return artifact.path;
+        }),
+        buildType: report.buildType,
+        buildMethod: report.buildMethod,
+        flavors: flavorResults.length > 0 ? flavorResults : undefined,
+        artifacts: report.artifacts
+    };
+}
+
+// Builds the project once or, if flavors are declared, once per flavor with
+// flavor's overrides applied to the project. Returns a promise for the list of
+// built variants, each with 'name' (flavor name, if any), 'apkPaths',
+// 'manifest' (AndroidManifest values at the moment of build), 'opts' (options
+// variant was built with) and 'duration'.
+function buildVariants(builder, opts) {
+    var self = this;
+    var variants = opts.flavors || [null];
+    var previous = buildReport.read(self.root);
+    return variants.reduce(function(promise, flavor, index) {
+        return promise.then(function(results) {
+            opts.cancellation.throwIfCancelled();
+            emitProgress('build', Math.round(100 * index / variants.length), opts);
+            var flavorName = flavor && flavor.name;
+
+            // Nothing is built with --nobuild, so just look up existing APKs
+            if (opts.buildMethod === 'none') {
+                return results.concat({
+                    name: flavorName,
+                    apkPaths: builder.findOutputApks(opts.buildType, opts.abis, flavorName),
+                    manifest: null,
+                    duration: 0
+                });
+            }
+
+            var started = Date.now();
+            var manifest;
+            var variantOpts = versionCode.forFlavor(opts, flavor);
+            var revert = flavor ? flavors.apply.call(self, flavor) : function() {};
+            return Q().then(function() {
+                manifest = readManifest(self.locations.manifest);
+                // Packages should be installable as updates of the previous
+                // ones, which is known before running the build tool
+                versionCode.validate(versionCode.getExpected(manifest, variantOpts, flavorName), previous, variantOpts);
+                return builder.build(variantOpts);
+            })
+            .finally(revert)
+            .then(function() {
+                var apkPaths = builder.findOutputApks(opts.buildType, opts.abis);
+                return results.concat({
+                    name: flavorName,
+                    apkPaths: flavor ? flavors.collectOutputs(apkPaths, flavor) : apkPaths,
+                    manifest: manifest,
+                    opts: variantOpts,
+                    duration: Date.now() - started
+                });
+            });
+        });
+    }, Q([]))
+    .then(function(results) {
+        emitProgress('build', 100, opts);
+        return results;
+    });
+}
+
+// Emits 'progress' event (see ProgressEvent in lib/ConsoleLogger)
+function emitProgress(phase, percentage, opts) {
+    events.emit('progress', { phase: phase, percentage: percentage, target: opts.target || null });
+}
+
+function readManifest(manifestPath) {
+    var manifest = new AndroidManifest(manifestPath);
+    return {
+        packageId: manifest.getPackageId(),
+        activity: manifest.getActivity().getName(),
+        versionCode: manifest.getVersionCode(),
+        versionName: manifest.getVersionName(),
+        minSdkVersion: manifest.getMinSdkVersion()
+    };
+}
+
 // Called by plugman after installing plugins, and by create script after creating project.
 module.exports.prepBuildFiles = function() {
     return builders.getBuilder('gradle').prepBuildFiles();
 };
 
 /*
- * Detects the architecture of a device/emulator
- * Returns "arm" or "x86".
+ * Detects ABIs, supported by device/emulator, in order of preference
+ * Returns a promise for the list of ABI names, e.g. ['arm64-v8a', 'armeabi-v7a', 'armeabi'].
  */
-module.exports.detectArchitecture = function(target) {
+module.exports.detectAbis = function(target) {
     function helper() {
-        return Adb.shell(target, 'cat /proc/cpuinfo')
+        // All properties are listed by a single command, so that device is
+        // queried once within the timeout
+        return Adb.shell(target, 'getprop')
         .then(function(output) {
-            return /intel/i.exec(output) ? 'x86' : 'arm';
+            function getprop(name) {
+                var match = new RegExp('^\\[' + name.replace(/\./g, '\\.') + '\\]: \\[(.*)\\]', 'm').exec(output);
+                return match ? match[1].trim() : '';
+            }
+            // Devices prior to Android 5.0 only report two ABIs
+            var abis = getprop('ro.product.cpu.abilist') ||
+                [getprop('ro.product.cpu.abi'), getprop('ro.product.cpu.abi2')].join(',');
+            return abis.split(',').map(function(name) {
+                return name.trim();
+            }).filter(Boolean);
         });
     }
     // It sometimes happens (at least on OS X), that this command will hang forever.
@@ -218,7 +494,23 @@ module.exports.detectArchitecture = function(target) {
     });
 };
 
-module.exports.findBestApkForArchitecture = function(buildResults, arch) {
+/*
+ * Detects the architecture of a device/emulator
+ * Returns a promise for "arm" or "x86".
+ * @deprecated Use detectAbis, which reports all ABIs device supports.
+ */
+module.exports.detectArchitecture = function(target) {
+    return module.exports.detectAbis(target)
+    .then(function(abis) {
+        return abis.indexOf('x86') >= 0 ? 'x86' : 'arm';
+    });
+};
+
+/*
+ * Chooses APK of matching build type, that is the best for device with given ABIs
+ * Returns an object with 'path', 'abi' and 'reason' properties (see abi.selectApk).
+ */
+module.exports.findBestApk = function(buildResults, abis) {
     var paths = buildResults.apkPaths.filter(function(p) {
         var apkName = path.basename(p);
         if (buildResults.buildType == 'debug') {
@@ -226,19 +518,45 @@ module.exports.findBestApkForArchitecture = function(buildResults, arch) {
         }
         return !/-debug/.exec(apkName);
     });
-    var archPattern = new RegExp('-' + arch);
-    var hasArchPattern = /-x86|-arm/;
-    for (var i = 0; i < paths.length; ++i) {
-        var apkName = path.basename(paths[i]);
-        if (hasArchPattern.exec(apkName)) {
-            if (archPattern.exec(apkName)) {
-                return paths[i];
-            }
-        } else {
-            return paths[i];
-        }
+    if (paths.length === 0) {
+        throw new CordovaError('Could not find apk of build-type: ' + buildResults.buildType);
+    }
+    return abi.selectApk(paths, abis);
+};
+
+/*
+ * Chooses APK of matching build type for "arm" or "x86" architecture
+ * Returns path to APK.
+ * @deprecated Use findBestApk, which takes device's ABIs into account.
+ */
+module.exports.findBestApkForArchitecture = function(buildResults, arch) {
+    var abis = arch === 'x86' ? ['x86'] : ['armeabi-v7a', 'armeabi'];
+    return module.exports.findBestApk(buildResults, abis).path;
+};
+
+/**
+ * Gets package id and main activity of built APK. These could differ from
+ *   the ones in AndroidManifest.xml, since the latter is reverted once APK is
+ *   built for a flavor.
+ *
+ * @param   {Object}  buildResults  Results of build, see 'run'.
+ * @param   {String}  apkPath       Path to built APK.
+ * @param   {String}  manifestPath  Path to AndroidManifest.xml, used if APK
+ *   is not described by build results.
+ *
+ * @return  {Object}                Object with 'packageId' and 'activity'
+ *   properties.
+ */
+module.exports.getLaunchInfo = function(buildResults, apkPath, manifestPath) {
+    var artifact = (buildResults.artifacts || []).filter(function(candidate) {
+        return candidate.path === apkPath && candidate.packageId;
+    })[0];
+    if (artifact) {
+        return { packageId: artifact.packageId, activity: artifact.activity };
     }
-    throw new Error('Could not find apk architecture: ' + arch + ' build-type: ' + buildResults.buildType);
+
+    var manifest = new AndroidManifest(manifestPath);
+    return { packageId: manifest.getPackageId(), activity: manifest.getActivity().getName() };
 };
 
 function PackageInfo(keystore, alias, storePassword, password, keystoreType) {
@@ -292,10 +610,19 @@ module.exports.help = function() {
     console.log('    \'--ant\': will build project with ant');
     console.log('    \'--gradle\': will build project with gradle (default)');
     console.log('    \'--nobuild\': will skip build process (useful when using run command)');
+    console.log('    \'--json\': write events and the final result to stdout as newline-delimited JSON');
     console.log('    \'--prepenv\': don\'t build, but copy in build scripts where necessary');
+    console.log('    \'--force\': build even if build inputs have not changed since the last build');
+    console.log('    \'--buildTimeout=<seconds>\': cancel the build, stopping gradle or ant, if it doesn\'t complete in time');
+    console.log('    \'--upgradeDependencies\': resolve dynamic versions of system libraries again instead of using cordova-deps.lock');
     console.log('    \'--versionCode=#\': Override versionCode for this build. Useful for uploading multiple APKs. Requires --gradle.');
+    console.log('    \'--versionCodeStrategy=<' + versionCode.STRATEGIES.join('|') + '>\': How to compute versionCode, unless --versionCode is given. Could also be set');
+    console.log('      as "android.versionCodeStrategy" in build.json. \'semver\' (default) derives it from app version, \'timestamp\' from build time,');
+    console.log('      \'gitCount\' from the number of git commits and \'abi\' builds separate APKs with per-ABI offsets. Requires --gradle.');
+    console.log('      With a strategy set, release builds fail if versionCode is less than the one of the last release build.');
     console.log('    \'--minSdkVersion=#\': Override minSdkVersion for this build. Useful for uploading multiple APKs. Requires --gradle.');
     console.log('    \'--gradleArg=<gradle command line arg>\': Extra args to pass to the gradle command. Use one flag per arg. Ex. --gradleArg=-PcdvBuildMultipleApks=true');
+    console.log('    \'--flavor=<name>\': Build only the specified flavor, declared in "android.flavors" section of build.json. All flavors are built by default.');
     console.log('');
     console.log('Signed APK flags (overwrites debug/release-signing.proprties) :');
     console.log('    \'--keystore=<path to keystore>\': Key store used to build a signed archive. (Required)');
@@ -303,5 +630,8 @@ module.exports.help = function() {
     console.log('    \'--storePassword=\': Password for the key store. (Optional - prompted)');
     console.log('    \'--password=\': Password for the key. (Optional - prompted)');
     console.log('    \'--keystoreType\': Type of the keystore. (Optional)');
+    console.log('');
+    console.log('Passwords could be given as references: \'env:VAR\' reads VAR environment variable and');
+    console.log('\'file:/path\' reads the file. Generated signing properties are removed after build and clean.');
     process.exit(0);
 };
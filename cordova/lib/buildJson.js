@@ -0,0 +1,227 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var CordovaError = require('cordova-common').CordovaError;
+var versionCode = require('./versionCode');
+
+var SIGNING_SCHEMA = {
+    type: 'object',
+    properties: {
+        keystore: { type: 'string', path: true },
+        alias: { type: 'string' },
+        storePassword: { type: 'string', secret: true },
+        password: { type: 'string', secret: true },
+        keystoreType: { type: 'string' }
+    }
+};
+
+var FLAVOR_SCHEMA = {
+    type: 'object',
+    properties: {
+        packageId: { type: 'string' },
+        packageIdSuffix: { type: 'string' },
+        appName: { type: 'string' },
+        versionCodeOffset: { type: 'number' },
+        preferences: { type: 'object', additionalProperties: { type: 'string' } }
+    }
+};
+
+// Sections of other platforms and tools are not validated, since build.json
+// is shared between all platforms of a project.
+var OTHER_PLATFORM_SCHEMA = { type: 'object', additionalProperties: true };
+
+/**
+ * Schema of build.json. Each node specifies the expected 'type' of value and,
+ *   for objects, known 'properties'. Unknown properties are reported as errors
+ *   unless 'additionalProperties' is set to a schema they should conform to,
+ *   or to true. Nodes marked with 'path' hold file paths, and nodes marked
+ *   with 'secret' could hold 'file:' references (see secrets.resolve), which
+ *   are relative to the location of build.json they are defined in.
+ */
+var SCHEMA = {
+    type: 'object',
+    properties: {
+        'extends': { type: 'string' },
+        android: {
+            type: 'object',
+            properties: {
+                debug: SIGNING_SCHEMA,
+                release: SIGNING_SCHEMA,
+                versionCodeStrategy: { type: 'string', 'enum': versionCode.STRATEGIES },
+                systemLibraryMappings: { type: 'object', additionalProperties: { type: 'string' } },
+                dependencyResolutions: { type: 'object', additionalProperties: { type: 'string' } },
+                flavors: { type: 'object', additionalProperties: FLAVOR_SCHEMA }
+            }
+        }
+    },
+    additionalProperties: OTHER_PLATFORM_SCHEMA
+};
+
+module.exports.SCHEMA = SCHEMA;
+
+/**
+ * Reads and validates build.json. If the file has an 'extends' property,
+ *   configuration from base file (path is relative to the extending file) is
+ *   loaded first and the extending file's values are deeply merged over it.
+ *   Relative paths from base files are made absolute, so that they could be
+ *   used as if they were defined in the extending file.
+ *
+ * @param   {String}  file  Path to build.json.
+ *
+ * @return  {Object}        Merged configuration without 'extends' property.
+ *
+ * @throws  {CordovaError}  If file (or any of base files) doesn't exist, is
+ *   not a valid JSON, doesn't conform to schema or if 'extends' chain is
+ *   circular.
+ */
+module.exports.load = function (file) {
+    return load(path.resolve(file), []);
+};
+
+/**
+ * Validates a value against schema.
+ *
+ * @param   {*}       value     Value to validate.
+ * @param   {Object}  [schema]  Schema node to validate against. Defaults to
+ *   build.json schema.
+ *
+ * @return  {String[]}          List of errors, each prefixed with the path of
+ *   offending value, e.g. 'android.release.alias: expected string, got
+ *   number'. Empty if value is valid.
+ */
+module.exports.validate = function (value, schema) {
+    return validate(value, schema || SCHEMA, '');
+};
+
+function load(file, chain) {
+    if (chain.indexOf(file) >= 0) {
+        throw new CordovaError('Circular "extends" in build config: ' + chain.concat(file).join(' -> '));
+    }
+    if (!fs.existsSync(file)) {
+        throw new CordovaError('Build config file does not exist: ' + file +
+            (chain.length ? ' (extended by ' + chain[chain.length - 1] + ')' : ''));
+    }
+
+    var config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (err) {
+        throw new CordovaError('Failed to parse build config file ' + file + ': ' + err.message);
+    }
+
+    var errors = validate(config, SCHEMA, '');
+    if (errors.length > 0) {
+        throw new CordovaError('Invalid build config file ' + file + ':\n    ' + errors.join('\n    '));
+    }
+
+    if (chain.length > 0) {
+        config = rebase(config, SCHEMA, path.dirname(file));
+    }
+
+    var baseFile = config['extends'];
+    delete config['extends'];
+    if (!baseFile) return config;
+
+    var base = load(path.resolve(path.dirname(file), expandHome(baseFile)), chain.concat(file));
+    return merge(base, config);
+}
+
+function validate(value, schema, keyPath) {
+    var prefix = (keyPath || '<root>') + ': ';
+    var actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type && schema.type !== actualType) {
+        return [prefix + 'expected ' + schema.type + ', got ' + actualType];
+    }
+    if (schema['enum'] && schema['enum'].indexOf(value) < 0) {
+        return [prefix + 'expected one of ' + schema['enum'].map(JSON.stringify).join(', ') +
+            ', got ' + JSON.stringify(value)];
+    }
+
+    if (actualType === 'array' && schema.items) {
+        return value.reduce(function (errors, item, index) {
+            return errors.concat(validate(item, schema.items, keyPath + '[' + index + ']'));
+        }, []);
+    }
+
+    if (actualType === 'object' && schema.type === 'object') {
+        var properties = schema.properties || {};
+        return Object.keys(value).reduce(function (errors, key) {
+            var childPath = keyPath ? keyPath + '.' + key : key;
+            var childSchema = properties[key] || schema.additionalProperties;
+            if (!childSchema) {
+                return errors.concat(childPath + ': unknown property');
+            }
+            return childSchema === true ? errors : errors.concat(validate(value[key], childSchema, childPath));
+        }, []);
+    }
+
+    return [];
+}
+
+// Makes paths and 'file:' references of config absolute
+function rebase(value, schema, baseDir) {
+    if (schema.path && typeof value === 'string') {
+        return path.resolve(baseDir, expandHome(value));
+    }
+    if (schema.secret && typeof value === 'string' && /^file:/.exec(value)) {
+        return 'file:' + path.resolve(baseDir, expandHome(value.substr('file:'.length)));
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        return value.map(function (item) {
+            return rebase(item, schema.items, baseDir);
+        });
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        var properties = schema.properties || {};
+        return Object.keys(value).reduce(function (result, key) {
+            var childSchema = properties[key] || schema.additionalProperties;
+            result[key] = childSchema && childSchema !== true ? rebase(value[key], childSchema, baseDir) : value[key];
+            return result;
+        }, {});
+    }
+
+    return value;
+}
+
+// Objects are merged recursively, other values (including arrays) of
+// extending config replace base ones.
+function merge(base, config) {
+    var result = {};
+    Object.keys(base).forEach(function (key) {
+        result[key] = base[key];
+    });
+    Object.keys(config).forEach(function (key) {
+        result[key] = isObject(base[key]) && isObject(config[key]) ?
+            merge(base[key], config[key]) : config[key];
+    });
+    return result;
+}
+
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expandHome(file) {
+    return file.replace(/^~(?=$|\/|\\)/, process.env.HOME);
+}
@@ -0,0 +1,201 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var events = require('cordova-common').events;
+var spawn = require('cordova-common').superspawn.spawn;
+var GenericBuilder = require('./builders/GenericBuilder');
+var getApkAbi = require('./abi').getApkAbi;
+var versionCodes = require('./versionCode');
+
+var REPORT_FILE = 'build-report.json';
+
+/**
+ * @typedef  {Object}  BuildArtifact
+ *
+ * @property  {String}  path                    Absolute path to APK.
+ * @property  {String}  [flavor]                Name of flavor APK was built
+ *   for, see lib/flavors.
+ * @property  {String}  packageId               Package id of APK.
+ * @property  {String}  activity                Name of APK's main activity.
+ * @property  {Number}  size                    Size in bytes.
+ * @property  {String}  sha256                  SHA-256 of APK, hex encoded.
+ * @property  {String}  buildType               Either 'debug' or 'release'.
+ * @property  {String}  buildMethod             Either 'gradle' or 'ant'.
+ * @property  {String}  abi                     ABI APK was built for, or
+ *   'universal'.
+ * @property  {Number}  versionCode             versionCode of APK.
+ * @property  {String}  versionName             versionName of APK.
+ * @property  {String}  certificateFingerprint  SHA-256 fingerprint of signing
+ *   certificate, or null if APK is not signed or keytool is not available.
+ * @property  {Object}  durations               Durations of build phases in
+ *   milliseconds: 'prepEnv', 'build' and 'report'.
+ */
+
+/**
+ * Describes packages, produced by build, and writes the description to
+ *   build-report.json in builder's output directory. Should be called with
+ *   PlatformApi instance as a context.
+ *
+ * @param   {Object[]}  variants   Built variants, each with 'name' (flavor
+ *   name, if any), 'apkPaths', 'manifest' (versionCode, versionName and
+ *   minSdkVersion at the moment of build), 'opts' (options, variant was
+ *   built with, if they differ from 'opts') and 'duration' properties.
+ * @param   {Object}    opts       Parsed build options.
+ * @param   {Object}    durations  Durations of phases, common for all
+ *   variants, e.g. 'prepEnv'.
+ * @param   {String}    [inputsFingerprint]  Fingerprint of build inputs (see
+ *   lib/fingerprint), which allows to skip the next build if inputs don't
+ *   change.
+ *
+ * @return  {Promise<Object>}      Promise for the report with 'created',
+ *   'buildType', 'buildMethod', 'fingerprint' and 'artifacts' (list of
+ *   BuildArtifact) properties. Report is not written if nothing has been
+ *   built (--nobuild), then values, which are unknown, are taken from
+ *   previous report.
+ */
+module.exports.create = function (variants, opts, durations, inputsFingerprint) {
+    var previous = module.exports.read(this.root);
+
+    return variants.reduce(function (promise, variant) {
+        return promise.then(function (artifacts) {
+            return Q.all(variant.apkPaths.map(function (apkPath) {
+                return describeApk(apkPath, variant, opts, durations, previous);
+            }))
+            .then(function (described) {
+                return artifacts.concat(described);
+            });
+        });
+    }, Q([]))
+    .then(function (artifacts) {
+        var report = {
+            created: new Date().toISOString(),
+            buildType: opts.buildType,
+            buildMethod: opts.buildMethod,
+            fingerprint: inputsFingerprint || null,
+            artifacts: artifacts
+        };
+
+        var binDir = new GenericBuilder(this.root).binDirs[opts.buildMethod];
+        if (binDir && fs.existsSync(binDir)) {
+            var reportFile = path.join(binDir, REPORT_FILE);
+            fs.writeFileSync(reportFile, JSON.stringify(report, null, 4) + '\n', 'utf-8');
+            events.emit('verbose', 'Wrote build report to ' + reportFile);
+        }
+
+        return report;
+    }.bind(this));
+};
+
+/**
+ * Reads the most recent build report from builders' output directories.
+ *
+ * @param   {String}  projectRoot  Platform project root.
+ *
+ * @return  {Object}               Report, written by 'create', or null if
+ *   there is no report.
+ */
+module.exports.read = function (projectRoot) {
+    var binDirs = new GenericBuilder(projectRoot).binDirs;
+    return Object.keys(binDirs)
+    .map(function (builderName) {
+        return path.join(binDirs[builderName], REPORT_FILE);
+    })
+    .filter(function (reportFile) {
+        return fs.existsSync(reportFile);
+    })
+    .map(function (reportFile) {
+        try {
+            return JSON.parse(fs.readFileSync(reportFile, 'utf-8'));
+        } catch (err) {
+            events.emit('warn', 'Ignoring malformed build report ' + reportFile + ': ' + err.message);
+            return null;
+        }
+    })
+    .filter(Boolean)
+    .sort(function (a, b) {
+        return new Date(b.created) - new Date(a.created);
+    })[0] || null;
+};
+
+function describeApk(apkPath, variant, opts, durations, previous) {
+    var started = Date.now();
+    var abi = getApkAbi(apkPath);
+    var sha256 = crypto.createHash('sha256').update(fs.readFileSync(apkPath)).digest('hex');
+
+    return getCertificateFingerprint(apkPath)
+    .then(function (fingerprint) {
+        var artifact = {
+            path: apkPath,
+            size: fs.statSync(apkPath).size,
+            sha256: sha256,
+            buildType: opts.buildType,
+            buildMethod: opts.buildMethod,
+            abi: abi,
+            packageId: null,
+            activity: null,
+            versionCode: null,
+            versionName: null,
+            certificateFingerprint: fingerprint,
+            durations: {
+                prepEnv: durations.prepEnv,
+                build: variant.duration,
+                report: Date.now() - started
+            }
+        };
+        if (variant.name) artifact.flavor = variant.name;
+
+        if (variant.manifest) {
+            artifact.packageId = variant.manifest.packageId;
+            artifact.activity = variant.manifest.activity;
+            artifact.versionCode = versionCodes.compute(variant.manifest, variant.opts || opts, abi);
+            artifact.versionName = variant.manifest.versionName;
+        } else {
+            // Package hasn't been built now, so take what is known from the
+            // build that produced it.
+            var known = previous && previous.artifacts.filter(function (candidate) {
+                return candidate.path === apkPath && candidate.sha256 === sha256;
+            })[0];
+            if (known) {
+                artifact.buildMethod = known.buildMethod;
+                artifact.packageId = known.packageId || null;
+                artifact.activity = known.activity || null;
+                artifact.versionCode = known.versionCode;
+                artifact.versionName = known.versionName;
+                artifact.durations = known.durations;
+            }
+        }
+
+        return artifact;
+    });
+}
+
+function getCertificateFingerprint(apkPath) {
+    return spawn('keytool', ['-printcert', '-jarfile', apkPath])
+    .then(function (output) {
+        var match = /SHA256:\s*([0-9A-F:]+)/i.exec(output);
+        return match ? match[1] : null;
+    }, function (err) {
+        events.emit('verbose', 'Failed to read signing certificate of ' + apkPath + ': ' + err.message);
+        return null;
+    });
+}
@@ -22,9 +22,9 @@ var fs = require('fs');
 var path = require('path');
 var util = require('util');
 var shell = require('shelljs');
-var spawn = require('cordova-common').superspawn.spawn;
 var CordovaError = require('cordova-common').CordovaError;
 var check_reqs = require('../check_reqs');
+var Cancellation = require('../Cancellation');
 
 var SIGNING_PROPERTIES = '-signing.properties';
 var MARKER = 'YOUR CHANGES WILL BE ERASED!';
@@ -94,7 +94,7 @@ AntBuilder.prototype.prepEnv = function(opts) {
 
 /*
  * Builds the project with ant.
- * Returns a promise.
+ * Returns a promise. Ant is stopped if 'opts.cancellation' is cancelled.
  */
 AntBuilder.prototype.build = function(opts) {
     // Without our custom_rules.xml, we need to clean before building.
@@ -107,7 +107,7 @@ AntBuilder.prototype.build = function(opts) {
     var args = this.getArgs(opts.buildType == 'debug' ? 'debug' : 'release', opts);
     return check_reqs.check_ant()
     .then(function() {
-        return spawn('ant', args, {stdio: 'inherit'});
+        return (opts.cancellation || new Cancellation()).spawn('ant', args);
     });
 };
 
@@ -116,7 +116,7 @@ AntBuilder.prototype.clean = function(opts) {
     var self = this;
     return check_reqs.check_ant()
     .then(function() {
-        return spawn('ant', args, {stdio: 'inherit'});
+        return (opts.cancellation || new Cancellation()).spawn('ant', args);
     })
     .then(function () {
         shell.rm('-rf', path.join(self.root, 'out'));
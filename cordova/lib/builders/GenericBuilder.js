@@ -23,6 +23,8 @@ var path = require('path');
 var shell = require('shelljs');
 var events = require('cordova-common').events;
 var CordovaError = require('cordova-common').CordovaError;
+var getApkAbi = require('../abi').getApkAbi;
+var UNIVERSAL = require('../abi').UNIVERSAL;
 
 function GenericBuilder (projectDir) {
     this.root = projectDir || path.resolve(__dirname, '../../..');
@@ -49,12 +51,16 @@ GenericBuilder.prototype.clean = function() {
     return Q();
 };
 
-GenericBuilder.prototype.findOutputApks = function(build_type, arch) {
+// If flavor is specified, APKs are looked up in flavor's subdirectory of
+// output directories (see lib/flavors).
+// If device's ABIs are specified, only APKs compatible with these are returned
+// from ABI-specific builds.
+GenericBuilder.prototype.findOutputApks = function(build_type, abis, flavor) {
     var self = this;
     return Object.keys(this.binDirs)
     .reduce(function (result, builderName) {
-        var binDir = self.binDirs[builderName];
-        return result.concat(findOutputApksHelper(binDir, build_type, builderName === 'ant' ? null : arch));
+        var binDir = flavor ? path.join(self.binDirs[builderName], flavor) : self.binDirs[builderName];
+        return result.concat(findOutputApksHelper(binDir, build_type, builderName === 'ant' ? null : abis));
     }, [])
     .sort(apkSorter);
 };
@@ -97,7 +103,7 @@ function apkSorter(fileA, fileB) {
     return timeDiff === 0 ? fileA.length - fileB.length : timeDiff;
 }
 
-function findOutputApksHelper(dir, build_type, arch) {
+function findOutputApksHelper(dir, build_type, abis) {
     var shellSilent = shell.config.silent;
     shell.config.silent = true;
 
@@ -120,18 +126,20 @@ function findOutputApksHelper(dir, build_type, arch) {
     if (ret.length === 0) {
         return ret;
     }
-    // Assume arch-specific build if newest apk has -x86 or -arm.
-    var archSpecific = !!/-x86|-arm/.exec(path.basename(ret[0]));
-    // And show only arch-specific ones (or non-arch-specific)
+    // Assume ABI-specific build if newest apk is ABI-specific.
+    var abiSpecific = getApkAbi(ret[0]) !== UNIVERSAL;
+    // And show only ABI-specific ones (or universal)
     ret = ret.filter(function(p) {
-        /*jshint -W018 */
-        return !!/-x86|-arm/.exec(path.basename(p)) == archSpecific;
-        /*jshint +W018 */
+        return (getApkAbi(p) !== UNIVERSAL) === abiSpecific;
     });
-    if (archSpecific && ret.length > 1) {
-        ret = ret.filter(function(p) {
-            return path.basename(p).indexOf('-' + arch) != -1;
+    if (abiSpecific && abis && abis.length > 0) {
+        var compatible = ret.filter(function(p) {
+            return abis.indexOf(getApkAbi(p)) != -1;
         });
+        // Let the caller report incompatible APKs rather than returning nothing
+        if (compatible.length > 0) {
+            ret = compatible;
+        }
     }
 
     return ret;
@@ -22,12 +22,15 @@ var fs = require('fs');
 var util = require('util');
 var path = require('path');
 var shell = require('shelljs');
-var child_process = require('child_process');
-var spawn = require('cordova-common').superspawn.spawn;
+var events = require('cordova-common').events;
 var CordovaError = require('cordova-common').CordovaError;
 var check_reqs = require('../check_reqs');
+var Cancellation = require('../Cancellation');
 
 var GenericBuilder = require('./GenericBuilder');
+var GradleOutputParser = require('./GradleOutputParser');
+var gradleWrapper = require('./gradleWrapper');
+var systemLibraries = require('./systemLibraries');
 
 var MARKER = 'YOUR CHANGES WILL BE ERASED!';
 var SIGNING_PROPERTIES = '-signing.properties';
@@ -65,7 +68,10 @@ GradleBuilder.prototype.getArgs = function(cmd, opts) {
 };
 
 // Makes the project buildable, minus the gradle wrapper.
-GradleBuilder.prototype.prepBuildFiles = function() {
+// Build options could carry system library mappings and forced versions from
+// build.json, ids of plugins referencing each system library and request to
+// upgrade locked versions of system libraries (see systemLibraries).
+GradleBuilder.prototype.prepBuildFiles = function(opts) {
     // Update the version of build.gradle in each dependent library.
     var pluginBuildGradle = path.join(this.root, 'cordova', 'lib', 'plugin-build.gradle');
     var propertiesObj = this.readProjectProperties();
@@ -99,28 +105,14 @@ GradleBuilder.prototype.prepBuildFiles = function() {
         depsList += '    debugCompile project(path: "' + libName + '", configuration: "debug")\n';
         depsList += '    releaseCompile project(path: "' + libName + '", configuration: "release")\n';
     });
-    // For why we do this mapping: https://issues.apache.org/jira/browse/CB-8390
-    var SYSTEM_LIBRARY_MAPPINGS = [
-        [/^\/?extras\/android\/support\/(.*)$/, 'com.android.support:support-$1:+'],
-        [/^\/?google\/google_play_services\/libproject\/google-play-services_lib\/?$/, 'com.google.android.gms:play-services:+']
-    ];
-    propertiesObj.systemLibs.forEach(function(p) {
-        var mavenRef;
-        // It's already in gradle form if it has two ':'s
-        if (/:.*:/.exec(p)) {
-            mavenRef = p;
-        } else {
-            for (var i = 0; i < SYSTEM_LIBRARY_MAPPINGS.length; ++i) {
-                var pair = SYSTEM_LIBRARY_MAPPINGS[i];
-                if (pair[0].exec(p)) {
-                    mavenRef = p.replace(pair[0], pair[1]);
-                    break;
-                }
-            }
-            if (!mavenRef) {
-                throw new CordovaError('Unsupported system library (does not work with gradle): ' + p);
-            }
-        }
+    var mavenRefs = systemLibraries.resolve(this.root, propertiesObj.systemLibs, {
+        mappings: opts && opts.systemLibraryMappings,
+        upgrade: opts && opts.upgradeDependencies
+    });
+    systemLibraries.reconcile(propertiesObj.systemLibs, mavenRefs, {
+        resolutions: opts && opts.dependencyResolutions,
+        owners: opts && opts.systemLibraryOwners
+    }).forEach(function(mavenRef) {
         depsList += '    compile "' + mavenRef + '"\n';
     });
     buildGradle = buildGradle.replace(/(SUB-PROJECT DEPENDENCIES START)[\s\S]*(\/\/ SUB-PROJECT DEPENDENCIES END)/, '$1\n' + depsList + '    $2');
@@ -136,37 +128,47 @@ GradleBuilder.prototype.prepEnv = function(opts) {
     var self = this;
     return check_reqs.check_gradle()
     .then(function() {
-        return self.prepBuildFiles();
+        return self.prepBuildFiles(opts);
     }).then(function() {
         // Copy the gradle wrapper on each build so that:
         // A) we don't require the Android SDK at project creation time, and
         // B) we always use the SDK's latest version of it.
-        // check_reqs ensures that this is set.
-        /*jshint -W069 */
-        var sdkDir = process.env['ANDROID_HOME'];
-        /*jshint +W069 */
-        var wrapperDir = path.join(sdkDir, 'tools', 'templates', 'gradle', 'wrapper');
-        if (process.platform == 'win32') {
-            shell.rm('-f', path.join(self.root, 'gradlew.bat'));
-            shell.cp(path.join(wrapperDir, 'gradlew.bat'), self.root);
+        // If neither SDK nor platform provide the wrapper, the one, copied
+        // by previous builds, is kept.
+        var wrapperDir = gradleWrapper.findWrapperDir();
+        if (wrapperDir) {
+            if (process.platform == 'win32') {
+                shell.rm('-f', path.join(self.root, 'gradlew.bat'));
+                shell.cp(path.join(wrapperDir, 'gradlew.bat'), self.root);
+            } else {
+                shell.rm('-f', path.join(self.root, 'gradlew'));
+                shell.cp(path.join(wrapperDir, 'gradlew'), self.root);
+            }
+            shell.rm('-rf', path.join(self.root, 'gradle', 'wrapper'));
+            shell.mkdir('-p', path.join(self.root, 'gradle'));
+            shell.cp('-r', path.join(wrapperDir, 'gradle', 'wrapper'), path.join(self.root, 'gradle'));
+        } else if (gradleWrapper.isWrapperDir(self.root)) {
+            events.emit('warn', 'Gradle wrapper is not found in Android SDK or platform, using the one from previous build.');
         } else {
-            shell.rm('-f', path.join(self.root, 'gradlew'));
-            shell.cp(path.join(wrapperDir, 'gradlew'), self.root);
+            throw new CordovaError('Gradle wrapper is not found. Install "Android SDK Tools" package, ' +
+                'or put the wrapper (gradlew scripts and gradle/wrapper directory) into ' +
+                path.join(__dirname, '..', 'gradle-wrapper') + '.');
         }
-        shell.rm('-rf', path.join(self.root, 'gradle', 'wrapper'));
-        shell.mkdir('-p', path.join(self.root, 'gradle'));
-        shell.cp('-r', path.join(wrapperDir, 'gradle', 'wrapper'), path.join(self.root, 'gradle'));
 
         // If the gradle distribution URL is set, make sure it points to version we want.
         // If it's not set, do nothing, assuming that we're using a future version of gradle that we don't want to mess with.
         // For some reason, using ^ and $ don't work.  This does the job, though.
         var distributionUrlRegex = /distributionUrl.*zip/;
-        /*jshint -W069 */
-        var distributionUrl = process.env['CORDOVA_ANDROID_GRADLE_DISTRIBUTION_URL'] || 'http\\://services.gradle.org/distributions/gradle-2.2.1-all.zip';
-        /*jshint +W069 */
+        var distribution = gradleWrapper.getDistribution();
         var gradleWrapperPropertiesPath = path.join(self.root, 'gradle', 'wrapper', 'gradle-wrapper.properties');
         shell.chmod('u+w', gradleWrapperPropertiesPath);
-        shell.sed('-i', distributionUrlRegex, 'distributionUrl='+distributionUrl, gradleWrapperPropertiesPath);
+        shell.sed('-i', distributionUrlRegex, 'distributionUrl='+distribution.url, gradleWrapperPropertiesPath);
+        // Newer wrappers verify downloaded distribution themselves
+        var wrapperProperties = fs.readFileSync(gradleWrapperPropertiesPath, 'utf8').replace(/^distributionSha256Sum=.*\n?/m, '');
+        if (distribution.sha256) {
+            wrapperProperties = wrapperProperties.replace(/\n?$/, '\ndistributionSha256Sum=' + distribution.sha256 + '\n');
+        }
+        fs.writeFileSync(gradleWrapperPropertiesPath, wrapperProperties);
 
         var propertiesFile = opts.buildType + SIGNING_PROPERTIES;
         var propertiesFilePath = path.join(self.root, propertiesFile);
@@ -180,21 +182,19 @@ GradleBuilder.prototype.prepEnv = function(opts) {
 
 /*
  * Builds the project with gradle.
- * Returns a promise.
+ * Returns a promise. Gradle is stopped if 'opts.cancellation' is cancelled.
  */
 GradleBuilder.prototype.build = function(opts) {
     var wrapper = path.join(this.root, 'gradlew');
     var args = this.getArgs(opts.buildType == 'debug' ? 'debug' : 'release', opts);
-    return spawnAndSuppressJavaOptions(wrapper, args);
+    return spawnAndSuppressJavaOptions(wrapper, args, opts.cancellation || new Cancellation());
 };
 
 GradleBuilder.prototype.clean = function(opts) {
     var builder = this;
     var wrapper = path.join(this.root, 'gradlew');
     var args = builder.getArgs('clean', opts);
-    return Q().then(function() {
-        return spawn(wrapper, args, {stdio: 'inherit'});
-    })
+    return (opts.cancellation || new Cancellation()).spawn(wrapper, args)
     .then(function () {
         shell.rm('-rf', path.join(builder.root, 'out'));
 
@@ -220,6 +220,11 @@ function isAutoGenerated(file) {
  *   printed to stderr. See https://issues.apache.org/jira/browse/CB-9971 for
  *   explanation.
  *
+ * Output is also parsed for compiler, resource, dex, manifest merger and
+ *   dependency problems, which are emitted as 'diagnostic' events (see
+ *   Diagnostic in GradleOutputParser). If the command fails, the error names
+ *   the first root cause.
+ *
  * This function needed because superspawn does not provide a way to get and
  *   manage spawned process output streams. There is a CB-10052 which describes
  *   an improvements for superspawn, needed to get rid of this.
@@ -229,11 +234,13 @@ function isAutoGenerated(file) {
  * @param   {String[]}  args  Command arguments. Note that on Windows arguments
  *   will be concatenated into string and passed to 'cmd.exe' along with '/s'
  *   and '/c' switches for proper space-in-path handling
+ * @param   {Cancellation}  cancellation  Cancellation, which stops the command
  *
- * @return  {Promise}        A promise, rejected with error message if
- *   underlying command exits with nonzero exit code, fulfilled otherwise
+ * @return  {Promise}        A promise, rejected with CordovaError if
+ *   underlying command exits with nonzero exit code or is cancelled,
+ *   fulfilled otherwise
  */
-function spawnAndSuppressJavaOptions(cmd, args) {
+function spawnAndSuppressJavaOptions(cmd, args, cancellation) {
     var opts = { stdio: 'pipe' };
 
     if (process.platform === 'win32') {
@@ -251,22 +258,43 @@ function spawnAndSuppressJavaOptions(cmd, args) {
         opts.windowsVerbatimArguments = true;
     }
 
+    var diagnostics = [];
+    function onDiagnostic(diagnostic) {
+        diagnostics.push(diagnostic);
+        events.emit('diagnostic', diagnostic);
+    }
+    // Streams are parsed separately, so their lines don't interleave
+    var stdoutParser = new GradleOutputParser(onDiagnostic);
+    var stderrParser = new GradleOutputParser(onDiagnostic);
+
     return Q.Promise(function (resolve, reject) {
-        var proc = child_process.spawn(cmd, args, opts);
+        // Throwing here rejects the promise
+        cancellation.throwIfCancelled();
+        var proc = cancellation.start(cmd, args, opts);
 
-        proc.stdout.on('data', process.stdout.write.bind(process.stdout));
+        proc.stdout.on('data', function (data) {
+            stdoutParser.write(data);
+            process.stdout.write(data);
+        });
         proc.stderr.on('data', function (data) {
             var suppressThisLine = /^Picked up _JAVA_OPTIONS: /i.test(data.toString());
             if (suppressThisLine) {
                 return;
             }
 
+            stderrParser.write(data);
             process.stderr.write(data);
         });
 
-        proc.on('exit', function(code) {
-            if (code) {
-                reject('Error code ' + code + ' for command: ' + cmd + ' with args: ' + args);
+        proc.on('close', function(code) {
+            stdoutParser.end();
+            stderrParser.end();
+            if (cancellation.reason) {
+                reject(cancellation.reason);
+            } else if (code) {
+                var message = 'Error code ' + code + ' for command: ' + cmd + ' with args: ' + args;
+                var rootCause = GradleOutputParser.summarize(diagnostics, stderrParser.failure || stdoutParser.failure);
+                reject(new CordovaError(rootCause ? 'Build failed: ' + rootCause + '\n' + message : message));
             } else {
                 resolve();
             }
@@ -0,0 +1,269 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var path = require('path');
+
+/**
+ * @typedef  {Object}  Diagnostic  Payload of 'diagnostic' event, emitted for
+ *   each problem found in gradle output.
+ *
+ * @property  {String}  source    Tool that reported the problem: 'javac',
+ *   'aapt', 'dex', 'manifest-merger' or 'dependencies'.
+ * @property  {String}  severity  Either 'error' or 'warning'.
+ * @property  {String}  file      Path to file the problem is in, or null.
+ * @property  {Number}  line      Line number (starting from 1), or null.
+ * @property  {String}  message   Description of the problem.
+ */
+
+var RESOURCE_FILE = '.+?\\.(?:xml|png|jpe?g|gif|webp)';
+
+// Patterns of lines that start a diagnostic. Lines, matching 'continuation'
+// pattern, which follow the first one, belong to the same diagnostic and
+// those of them, matching 'details' pattern, are appended to its message.
+// If 'details' is not set, all continuation lines are appended, separated by
+// 'separator' or a space.
+var PATTERNS = [
+    {
+        // Structured messages, printed by Android Gradle plugin
+        regex: /^AGPBI: (\{.*\})\s*$/,
+        create: fromAgpbi
+    },
+    {
+        // Foo.java:12: error: cannot find symbol
+        regex: /^(.+\.java):(\d+): (error|warning): (.*)$/,
+        // Source line, caret and details are indented
+        continuation: /^\s/,
+        details: /^\s+(symbol|location|required|found|reason):/,
+        separator: '; ',
+        create: function (m) {
+            return diagnostic('javac', m[3], m[1], m[2], m[4]);
+        }
+    },
+    {
+        // res/layout/main.xml:5: error: Error: No resource found ...
+        // ERROR: res/values/strings.xml:3: AAPT: error: ...
+        regex: new RegExp('^(?:ERROR: )?(' + RESOURCE_FILE + '):(\\d+)(?::\\d+)?: (?:AAPT: )?(error|warning): (?:Error: )?(.*)$'),
+        create: function (m) {
+            return diagnostic('aapt', m[3], m[1], m[2], m[4]);
+        }
+    },
+    {
+        // AndroidManifest.xml:12:5-40 Error:
+        //     Attribute application@icon value=(@mipmap/icon) ...
+        regex: /^(.*AndroidManifest\.xml):(\d+)(?::[\d-]+)? (Error|Warning):\s*(.*)$/,
+        continuation: /^\s+\S/,
+        create: function (m) {
+            return diagnostic('manifest-merger', m[3].toLowerCase(), m[1], m[2], m[4]);
+        }
+    },
+    {
+        // > Manifest merger failed : Attribute application@icon ...
+        regex: /Manifest merger failed\s*:\s*(.+)$/,
+        create: function (m) {
+            return diagnostic('manifest-merger', 'error', null, null, m[1]);
+        }
+    },
+    {
+        // com.android.dex.DexException: Multiple dex files define Lcom/foo/Bar;
+        regex: /com\.android\.dex\.Dex(?:IndexOverflow)?Exception: (.*)$/,
+        create: function (m) {
+            return diagnostic('dex', 'error', null, null, m[1]);
+        }
+    },
+    {
+        // trouble writing output: Too many method references: 70000; max is 65536.
+        regex: /^trouble writing output: (.*)$/,
+        create: function (m) {
+            return diagnostic('dex', 'error', null, null, m[1]);
+        }
+    },
+    {
+        // > Could not find com.google.android.gms:play-services-maps:99.0.0.
+        regex: /^\s*>?\s*(Could not (?:resolve|find) [^\s:]+:[^\s:]+(?::\S+?)?)\.?\s*$/,
+        create: function (m) {
+            return diagnostic('dependencies', 'error', null, null, m[1]);
+        }
+    }
+];
+
+/**
+ * @class GradleOutputParser
+ *
+ * Finds compiler, resource, dex, manifest merger and dependency resolution
+ *   problems in gradle output. Output is fed in chunks, as it arrives, and
+ *   each problem is reported to callback once its description is complete.
+ *
+ * @param  {Function}  onDiagnostic  Callback, called with Diagnostic.
+ */
+function GradleOutputParser(onDiagnostic) {
+    this._onDiagnostic = onDiagnostic;
+    this._buffer = '';
+    this._pending = null;
+    this._reported = {};
+    this._failureLines = null;
+
+    /**
+     * Description of failure from "What went wrong" section of gradle
+     *   output, or null if gradle didn't report failure.
+     */
+    this.failure = null;
+}
+
+/**
+ * Parses a chunk of output.
+ *
+ * @param   {String|Buffer}  chunk  Output chunk.
+ */
+GradleOutputParser.prototype.write = function (chunk) {
+    var lines = (this._buffer + chunk.toString()).split(/\r?\n/);
+    this._buffer = lines.pop();
+    lines.forEach(this._parseLine, this);
+};
+
+/**
+ * Parses the rest of output once it has ended.
+ */
+GradleOutputParser.prototype.end = function () {
+    if (this._buffer) {
+        this._parseLine(this._buffer);
+        this._buffer = '';
+    }
+    this._flush();
+    this._endFailure();
+};
+
+/**
+ * Describes the first root cause of failed build.
+ *
+ * @param   {Diagnostic[]}  diagnostics  Problems, found in gradle output.
+ * @param   {String}        [failure]    Failure description from gradle.
+ *
+ * @return  {String}                     Short summary, or null if nothing is
+ *   known about the cause.
+ */
+GradleOutputParser.summarize = function (diagnostics, failure) {
+    var errors = diagnostics.filter(function (item) {
+        return item.severity === 'error';
+    });
+    if (errors.length === 0) return failure || null;
+
+    var first = errors[0];
+    var location = first.file ? ' in ' + path.basename(first.file) + (first.line ? ':' + first.line : '') : '';
+    return first.source + ' error' + location + ': ' + first.message +
+        (errors.length > 1 ? ' (and ' + (errors.length - 1) + ' more error(s))' : '');
+};
+
+GradleOutputParser.prototype._parseLine = function (line) {
+    if (this._pending) {
+        if (this._pending.pattern.continuation.test(line)) {
+            var details = this._pending.pattern.details;
+            if (!details || details.test(line)) {
+                var message = this._pending.diagnostic.message;
+                this._pending.diagnostic.message = (message ? message + (this._pending.pattern.separator || ' ') : '') +
+                    line.trim().replace(/\s+/g, ' ');
+            }
+            return;
+        }
+        this._flush();
+    }
+
+    if (this._collectFailure(line)) return;
+
+    for (var i = 0; i < PATTERNS.length; i++) {
+        var match = PATTERNS[i].regex.exec(line);
+        if (!match) continue;
+
+        var result = PATTERNS[i].create(match);
+        if (!result) return;
+        if (PATTERNS[i].continuation) {
+            this._pending = { diagnostic: result, pattern: PATTERNS[i] };
+        } else {
+            this._report(result);
+        }
+        return;
+    }
+};
+
+// Collects lines of "* What went wrong:" section until the next section
+GradleOutputParser.prototype._collectFailure = function (line) {
+    if (/^\* What went wrong:/.test(line)) {
+        this._failureLines = [];
+        return true;
+    }
+    if (!this._failureLines) return false;
+
+    if (!line.trim() || /^\* /.test(line)) {
+        this._endFailure();
+        return false;
+    }
+    this._failureLines.push(line.replace(/^\s*>\s*/, '').trim());
+    return false;
+};
+
+GradleOutputParser.prototype._endFailure = function () {
+    if (this._failureLines && !this.failure) {
+        this.failure = this._failureLines.join(' ') || null;
+    }
+    this._failureLines = null;
+};
+
+GradleOutputParser.prototype._flush = function () {
+    if (this._pending) {
+        this._report(this._pending.diagnostic);
+        this._pending = null;
+    }
+};
+
+GradleOutputParser.prototype._report = function (item) {
+    // The same problem is often printed more than once, e.g. in the task
+    // output and in the final "What went wrong" section
+    var key = [item.source, item.file, item.line, item.message].join('|');
+    if (this._reported[key]) return;
+    this._reported[key] = true;
+    this._onDiagnostic(item);
+};
+
+module.exports = GradleOutputParser;
+
+function diagnostic(source, severity, file, line, message) {
+    return {
+        source: source,
+        severity: severity,
+        file: file || null,
+        line: line ? Number(line) : null,
+        message: message.trim()
+    };
+}
+
+function fromAgpbi(m) {
+    var message;
+    try {
+        message = JSON.parse(m[1]);
+    } catch (err) {
+        return null;
+    }
+    if (message.kind !== 'error' && message.kind !== 'warning') return null;
+
+    var source = message.sources && message.sources[0] || {};
+    var file = source.file && typeof source.file === 'object' ? source.file.path || source.file.description : source.file;
+    // Plugin reports zero-based lines
+    var line = source.position && typeof source.position.startLine === 'number' ? source.position.startLine + 1 : null;
+    var tool = (message.tool || 'aapt').toLowerCase();
+    return diagnostic(tool === 'aapt2' ? 'aapt' : tool, message.kind, file, line, message.text || '');
+}
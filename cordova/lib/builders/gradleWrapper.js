@@ -0,0 +1,149 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var DEFAULT_DISTRIBUTION_URL = 'http\\://services.gradle.org/distributions/gradle-2.2.1-all.zip';
+
+// Wrapper, shipped with the platform, for hosts where Android SDK lacks
+// the wrapper template
+var BUNDLED_WRAPPER_DIR = path.join(__dirname, '..', 'gradle-wrapper');
+
+/**
+ * Checks whether directory contains gradle wrapper: gradlew script and
+ *   gradle/wrapper directory with wrapper jar.
+ *
+ * @param   {String}   dir  Directory to check.
+ *
+ * @return  {Boolean}
+ */
+module.exports.isWrapperDir = function (dir) {
+    var script = process.platform == 'win32' ? 'gradlew.bat' : 'gradlew';
+    return fs.existsSync(path.join(dir, script)) &&
+        fs.existsSync(path.join(dir, 'gradle', 'wrapper', 'gradle-wrapper.jar'));
+};
+
+/**
+ * Finds gradle wrapper to copy into the project. Wrapper template of Android
+ *   SDK is preferred, since it matches SDK's tools. If it is missing, the
+ *   wrapper bundled with the platform (cordova/lib/gradle-wrapper) is used.
+ *
+ * @return  {String}  Directory with gradle wrapper, or null if none is found.
+ */
+module.exports.findWrapperDir = function () {
+    var candidates = [];
+    /*jshint -W069 */
+    var sdkDir = process.env['ANDROID_HOME'];
+    /*jshint +W069 */
+    if (sdkDir) {
+        candidates.push(path.join(sdkDir, 'tools', 'templates', 'gradle', 'wrapper'));
+    }
+    candidates.push(BUNDLED_WRAPPER_DIR);
+
+    var found = candidates.filter(module.exports.isWrapperDir)[0];
+    if (found && found === BUNDLED_WRAPPER_DIR) {
+        events.emit('verbose', 'Gradle wrapper template is not found in Android SDK, using the bundled one.');
+    }
+    return found || null;
+};
+
+/**
+ * Resolves gradle distribution to use. Its URL is taken from
+ *   CORDOVA_ANDROID_GRADLE_DISTRIBUTION_URL environment variable, if set. If
+ *   CORDOVA_ANDROID_GRADLE_DISTRIBUTION_DIR is set to a directory, which
+ *   contains a zip with the same name as the distribution, the zip is used
+ *   instead, so no downloads are needed.
+ *
+ * Local (file://) distributions are verified against SHA-256 checksum from
+ *   CORDOVA_ANDROID_GRADLE_DISTRIBUTION_SHA256 environment variable or from
+ *   '<zip>.sha256' file next to the zip.
+ *
+ * @return  {Object}  Distribution with 'url' and 'sha256' (or null, if
+ *   checksum is not known) properties.
+ *
+ * @throws  {CordovaError}  If local distribution doesn't exist or doesn't
+ *   match its checksum.
+ */
+module.exports.getDistribution = function () {
+    /*jshint -W069 */
+    var url = process.env['CORDOVA_ANDROID_GRADLE_DISTRIBUTION_URL'] || DEFAULT_DISTRIBUTION_URL;
+    var sha256 = process.env['CORDOVA_ANDROID_GRADLE_DISTRIBUTION_SHA256'] || null;
+    var cacheDir = process.env['CORDOVA_ANDROID_GRADLE_DISTRIBUTION_DIR'];
+    /*jshint +W069 */
+
+    if (cacheDir && !fromFileUrl(url)) {
+        var cached = path.resolve(cacheDir, url.split('/').pop());
+        if (fs.existsSync(cached)) {
+            events.emit('verbose', 'Using gradle distribution from cache: ' + cached);
+            url = toFileUrl(cached);
+        } else {
+            events.emit('warn', 'Gradle distribution ' + path.basename(cached) + ' is not found in ' +
+                cacheDir + ', it will be downloaded.');
+        }
+    }
+
+    var zipPath = fromFileUrl(url);
+    if (zipPath) {
+        if (!fs.existsSync(zipPath)) {
+            throw new CordovaError('Gradle distribution is not found: ' + zipPath);
+        }
+
+        sha256 = sha256 || readChecksumFile(zipPath + '.sha256');
+        if (sha256) {
+            verifyChecksum(zipPath, sha256);
+        } else {
+            events.emit('warn', 'Gradle distribution ' + zipPath + ' is not verified, since its SHA-256 checksum ' +
+                'is unknown. Set CORDOVA_ANDROID_GRADLE_DISTRIBUTION_SHA256 or put the checksum into ' +
+                path.basename(zipPath) + '.sha256 file.');
+        }
+    }
+
+    return { url: url, sha256: sha256 ? sha256.toLowerCase() : null };
+};
+
+function toFileUrl(file) {
+    return 'file://' + (process.platform == 'win32' ? '/' : '') + file.replace(/\\/g, '/');
+}
+
+// Returns local path for file:// URL, or null for other URLs
+function fromFileUrl(url) {
+    var match = /^file\\?:\/\/(.*)$/.exec(url);
+    if (!match) return null;
+    var file = decodeURIComponent(match[1]);
+    // file:///C:/gradle.zip
+    return /^\/[a-zA-Z]:/.test(file) ? file.substr(1) : file;
+}
+
+function readChecksumFile(file) {
+    if (!fs.existsSync(file)) return null;
+    return fs.readFileSync(file, 'utf8').trim().split(/\s+/)[0] || null;
+}
+
+function verifyChecksum(file, expected) {
+    var actual = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    if (actual !== expected.toLowerCase()) {
+        throw new CordovaError('SHA-256 checksum of gradle distribution ' + file + ' doesn\'t match: expected ' +
+            expected + ', got ' + actual + '.');
+    }
+    events.emit('verbose', 'Verified SHA-256 checksum of gradle distribution ' + file);
+}
@@ -0,0 +1,305 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var events = require('cordova-common').events;
+var CordovaError = require('cordova-common').CordovaError;
+
+var LOCK_FILE = 'cordova-deps.lock';
+
+// For why we do this mapping: https://issues.apache.org/jira/browse/CB-8390
+var SYSTEM_LIBRARY_MAPPINGS = [
+    [/^\/?extras\/android\/support\/(.*)$/, 'com.android.support:support-$1:+'],
+    [/^\/?google\/google_play_services\/libproject\/google-play-services_lib\/?$/, 'com.google.android.gms:play-services:+']
+];
+
+// Maven repositories of Android SDK, which gradle resolves system libraries from
+var SDK_REPOSITORIES = [
+    ['extras', 'android', 'm2repository'],
+    ['extras', 'google', 'm2repository']
+];
+
+module.exports.LOCK_FILE = LOCK_FILE;
+
+/**
+ * Gets the path to cordova-deps.lock. If platform is a part of cordova project
+ *   (i.e. there is config.xml or www directory two levels up), the lock is
+ *   kept in the top-level project, next to config.xml, so that it could be
+ *   committed along with the app, while platforms directory is regenerated.
+ *   Standalone platform projects keep the lock in their own root.
+ *
+ * @param   {String}  projectRoot  Platform project root.
+ *
+ * @return  {String}               Absolute path to lock file.
+ */
+module.exports.getLockFile = function (projectRoot) {
+    var topLevelRoot = path.join(projectRoot, '..', '..');
+    var isCordovaProject = fs.existsSync(path.join(topLevelRoot, 'config.xml')) ||
+        fs.existsSync(path.join(topLevelRoot, 'www'));
+    return path.join(isCordovaProject ? topLevelRoot : projectRoot, LOCK_FILE);
+};
+
+/**
+ * Resolves system libraries, referenced by plugins, to maven coordinates.
+ *
+ * Libraries, referenced by Android SDK path, are mapped to coordinates using
+ *   'android.systemLibraryMappings' section of build.json (regular
+ *   expressions mapped to replacement patterns), then the default mappings.
+ *   A plugin could pin the version of library by appending it to the
+ *   reference, e.g. 'extras/android/support/v4@23.4.0', or by referencing
+ *   coordinates with exact version.
+ *
+ * Dynamic versions, like '+' or '23.+', are resolved against Android SDK's
+ *   maven repositories and written to cordova-deps.lock (see 'getLockFile'),
+ *   along with the rest of resolved coordinates.
+ *   Later calls reuse locked versions, until the reference changes or
+ *   upgrade is requested.
+ *
+ * @param   {String}    projectRoot  Platform project root.
+ * @param   {String[]}  systemLibs   System library references from
+ *   project.properties.
+ * @param   {Object}    [options]    'mappings' (from build.json) and
+ *   'upgrade' (re-resolve locked versions) options.
+ *
+ * @return  {String[]}               Maven coordinates, in the same order.
+ *
+ * @throws  {CordovaError}           If library could not be mapped.
+ */
+module.exports.resolve = function (projectRoot, systemLibs, options) {
+    options = options || {};
+    var mappings = getMappings(options.mappings);
+    var lockFile = module.exports.getLockFile(projectRoot);
+    var locked = readLock(lockFile);
+    var lock = {};
+
+    var coordinates = systemLibs.map(function (lib) {
+        var entry = locked[lib];
+        var requested = getRequestedCoordinate(lib, mappings);
+        if (!requested) {
+            // Mapping could come from build.json, which is not always known
+            if (entry) {
+                lock[lib] = entry;
+                return entry.resolved;
+            }
+            throw new CordovaError('Unsupported system library (does not work with gradle): ' + lib +
+                '. Map it to maven coordinates in "android.systemLibraryMappings" section of build.json.');
+        }
+
+        var resolved = requested;
+        if (isDynamic(requested)) {
+            if (entry && entry.requested === requested && !isDynamic(entry.resolved) && !options.upgrade) {
+                resolved = entry.resolved;
+            } else {
+                resolved = resolveFromSdk(requested) || requested;
+                if (resolved === requested) {
+                    events.emit('warn', 'Could not resolve ' + requested + ' from Android SDK, leaving it unlocked.');
+                } else if (!entry || entry.resolved !== resolved) {
+                    events.emit('log', 'Locked ' + requested + ' to ' + resolved);
+                }
+            }
+        }
+
+        // Unresolved entries are kept as well, since they remember mappings
+        lock[lib] = { requested: requested, resolved: resolved };
+        return resolved;
+    });
+
+    writeLock(lockFile, locked, lock);
+    return coordinates;
+};
+
+/**
+ * Finds libraries with the same 'group:artifact', which are requested in
+ *   different versions, e.g. by different plugins. Gradle silently picks one
+ *   of versions for such libraries, so conflicts are reported with plugins,
+ *   which requested each version.
+ *
+ * Version of library could be forced in 'android.dependencyResolutions'
+ *   section of build.json, which maps 'group:artifact' to version. Forced
+ *   version replaces all references to the library.
+ *
+ * @param   {String[]}  systemLibs   System library references from
+ *   project.properties.
+ * @param   {String[]}  coordinates  Maven coordinates of these references, as
+ *   returned by 'resolve'.
+ * @param   {Object}    [options]    'resolutions' (from build.json) and
+ *   'owners' (ids of plugins, referencing each system library) options.
+ *
+ * @return  {String[]}               Maven coordinates to compile with, one
+ *   per distinct coordinate.
+ */
+module.exports.reconcile = function (systemLibs, coordinates, options) {
+    options = options || {};
+    var resolutions = options.resolutions || {};
+    var owners = options.owners || {};
+    var libraries = {};
+    var order = [];
+
+    coordinates.forEach(function (coordinate, i) {
+        var parts = coordinate.split(':');
+        var key = parts.slice(0, 2).join(':');
+        var version = parts.slice(2).join(':');
+        if (!libraries[key]) {
+            libraries[key] = {};
+            order.push(key);
+        }
+        var requesters = libraries[key][version] = libraries[key][version] || [];
+        (owners[systemLibs[i]] || []).forEach(function (pluginId) {
+            if (requesters.indexOf(pluginId) < 0) requesters.push(pluginId);
+        });
+    });
+
+    Object.keys(resolutions).forEach(function (key) {
+        if (!libraries[key]) {
+            events.emit('verbose', 'Library ' + key + ' from "android.dependencyResolutions" section of ' +
+                'build.json is not referenced by plugins, ignoring it.');
+        }
+    });
+
+    return order.reduce(function (result, key) {
+        var versions = Object.keys(libraries[key]);
+        if (resolutions[key]) {
+            var forced = key + ':' + resolutions[key];
+            events.emit(versions.length > 1 ? 'log' : 'verbose', 'Using ' + forced + ' as forced by build.json' +
+                (versions.length > 1 ? ' (requested: ' + describeVersions(libraries[key]) + ')' : ''));
+            return result.concat(forced);
+        }
+
+        if (versions.length > 1) {
+            events.emit('warn', 'Plugins request different versions of ' + key + ': ' +
+                describeVersions(libraries[key]) + '. Gradle will use the newest of them. ' +
+                'To choose the version, add "' + key + '": "<version>" to "android.dependencyResolutions" ' +
+                'section of build.json.');
+        }
+        return result.concat(versions.map(function (version) {
+            return version ? key + ':' + version : key;
+        }));
+    }, []);
+};
+
+// '23.+ (plugin-a, plugin-b), 24.0.0 (plugin-c)'
+function describeVersions(versions) {
+    return Object.keys(versions).map(function (version) {
+        var requesters = versions[version];
+        return (version || '<none>') + ' (' + (requesters.length ? requesters.join(', ') : 'unknown plugin') + ')';
+    }).join(', ');
+}
+
+function getMappings(custom) {
+    var mappings = Object.keys(custom || {}).map(function (pattern) {
+        try {
+            return [new RegExp(pattern), custom[pattern]];
+        } catch (err) {
+            throw new CordovaError('Invalid pattern in "android.systemLibraryMappings" section of build.json: ' +
+                pattern + ': ' + err.message);
+        }
+    });
+    return mappings.concat(SYSTEM_LIBRARY_MAPPINGS);
+}
+
+// Maps system library reference to maven coordinates with requested version
+function getRequestedCoordinate(lib, mappings) {
+    // Coordinates could have '@aar'-like suffix, so only SDK paths are pinned
+    var pin = lib.indexOf(':') < 0 && /^(.*?)@([^@\/]+)$/.exec(lib);
+    var ref = pin ? pin[1] : lib;
+
+    var coordinate = null;
+    // It's already in gradle form if it has two ':'s
+    if (/:.*:/.exec(ref)) {
+        coordinate = ref;
+    } else {
+        for (var i = 0; i < mappings.length; ++i) {
+            if (mappings[i][0].exec(ref)) {
+                coordinate = ref.replace(mappings[i][0], mappings[i][1]);
+                break;
+            }
+        }
+    }
+
+    if (coordinate && pin) {
+        coordinate = coordinate.split(':').slice(0, 2).concat(pin[2]).join(':');
+    }
+    return coordinate;
+}
+
+function isDynamic(coordinate) {
+    var version = coordinate.split(':')[2] || '';
+    return !version || /[+\[\](),]|^latest\./.test(version);
+}
+
+// Finds the greatest version, matching dynamic version of coordinates, in
+// Android SDK's maven repositories
+function resolveFromSdk(coordinate) {
+    var parts = coordinate.split(':');
+    var prefix = /^([^+\[\](),]*)\+$/.exec(parts[2] || '+');
+    /*jshint -W069 */
+    var sdkDir = process.env['ANDROID_HOME'];
+    /*jshint +W069 */
+    // Version ranges are left for gradle to resolve
+    if (!prefix || !sdkDir) return null;
+
+    var versions = [];
+    SDK_REPOSITORIES.forEach(function (repository) {
+        var artifactDir = path.join.apply(path, [sdkDir].concat(repository, parts[0].split('.'), parts[1]));
+        if (!fs.existsSync(artifactDir)) return;
+        fs.readdirSync(artifactDir).forEach(function (version) {
+            if (version.indexOf(prefix[1]) === 0 && fs.statSync(path.join(artifactDir, version)).isDirectory()) {
+                versions.push(version);
+            }
+        });
+    });
+
+    if (versions.length === 0) return null;
+    return parts.slice(0, 2).concat(versions.sort(compareVersions).pop()).join(':');
+}
+
+function compareVersions(a, b) {
+    var aParts = a.split(/[.-]/);
+    var bParts = b.split(/[.-]/);
+    for (var i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+        var aPart = aParts[i] || '0';
+        var bPart = bParts[i] || '0';
+        var diff = /^\d+$/.test(aPart) && /^\d+$/.test(bPart) ? Number(aPart) - Number(bPart) :
+            aPart < bPart ? -1 : aPart > bPart ? 1 : 0;
+        if (diff) return diff;
+    }
+    return 0;
+}
+
+function readLock(lockFile) {
+    if (!fs.existsSync(lockFile)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(lockFile, 'utf8')).dependencies || {};
+    } catch (err) {
+        throw new CordovaError('Failed to read ' + lockFile + ': ' + err.message +
+            '. Remove it to resolve dependencies again.');
+    }
+}
+
+function writeLock(lockFile, previous, lock) {
+    var content = JSON.stringify({
+        comment: 'GENERATED FILE - locked versions of system libraries. Build with --upgradeDependencies to update.',
+        dependencies: lock
+    }, null, 4) + '\n';
+
+    if (Object.keys(lock).length === 0 && Object.keys(previous).length === 0) return;
+    if (fs.existsSync(lockFile) && fs.readFileSync(lockFile, 'utf8') === content) return;
+    fs.writeFileSync(lockFile, content, 'utf8');
+}
@@ -23,7 +23,7 @@ var Q     = require('q'),
     build = require('./build');
 var path = require('path');
 var Adb = require('./Adb');
-var AndroidManifest = require('./AndroidManifest');
+var abi = require('./abi');
 var spawn = require('cordova-common').superspawn.spawn;
 var CordovaError = require('cordova-common').CordovaError;
 var events = require('cordova-common').events;
@@ -65,9 +65,9 @@ module.exports.resolveTarget = function(target) {
             return Q.reject('ERROR: Unable to find target \'' + target + '\'.');
         }
 
-        return build.detectArchitecture(target)
-        .then(function(arch) {
-            return { target: target, arch: arch, isEmulator: false };
+        return build.detectAbis(target)
+        .then(function(abis) {
+            return { target: target, arch: abi.getBuildArch(abis), abis: abis, isEmulator: false };
         });
     });
 };
@@ -84,11 +84,13 @@ module.exports.install = function(target, buildResults) {
         }
         return module.exports.resolveTarget(target);
     }).then(function(resolvedTarget) {
-        var apk_path = build.findBestApkForArchitecture(buildResults, resolvedTarget.arch);
-        var manifest = new AndroidManifest(path.join(__dirname, '../../AndroidManifest.xml'));
-        var pkgName = manifest.getPackageId();
-        var launchName = pkgName + '/.' + manifest.getActivity().getName();
-        events.emit('log', 'Using apk: ' + apk_path);
+        var apk = build.findBestApk(buildResults, resolvedTarget.abis);
+        var apk_path = apk.path;
+        // Flavor's package id is only known from build results
+        var launchInfo = build.getLaunchInfo(buildResults, apk_path, path.join(__dirname, '../../AndroidManifest.xml'));
+        var pkgName = launchInfo.packageId;
+        var launchName = pkgName + '/.' + launchInfo.activity;
+        events.emit('log', 'Using apk: ' + apk_path + ' (' + apk.reason + ')');
 
         return Adb.install(resolvedTarget.target, apk_path, {replace: true})
         .catch(function (error) {
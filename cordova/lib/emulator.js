@@ -26,7 +26,7 @@ var build      = require('./build');
 var check_reqs = require('./check_reqs');
 var path = require('path');
 var Adb = require('./Adb');
-var AndroidManifest = require('./AndroidManifest');
+var abi = require('./abi');
 var events = require('cordova-common').events;
 var spawn = require('cordova-common').superspawn.spawn;
 var CordovaError = require('cordova-common').CordovaError;
@@ -173,8 +173,10 @@ module.exports.start = function(emulator_ID) {
         var uuidProp = 'emu.uuid=' + uuid;
         var args = ['-avd', emulatorId, '-prop', uuidProp];
         // Don't wait for it to finish, since the emulator will probably keep running for a long time.
+        // Its output can't be forwarded for the same reason, so it goes to stderr to keep stdout
+        // parsable in JSON mode.
         child_process
-            .spawn('emulator', args, { stdio: 'inherit', detached: true })
+            .spawn('emulator', args, { stdio: ['inherit', process.stderr, 'inherit'], detached: true })
             .unref();
 
         // wait for emulator to start
@@ -185,7 +187,8 @@ module.exports.start = function(emulator_ID) {
             return Q.reject(new CordovaError('Failed to start emulator'));
 
         //wait for emulator to boot up
-        process.stdout.write('Booting up emulator (this may take a while)...');
+        events.emit('log', 'Booting up emulator (this may take a while)...');
+        events.emit('progress', { phase: 'boot', percentage: 0, target: emulatorId });
         return self.wait_for_boot(emulatorId)
         .then(function() {
             events.emit('log','BOOT COMPLETE');
@@ -228,15 +231,17 @@ module.exports.wait_for_emulator = function(uuid) {
 
 /*
  * Waits for the core android process of the emulator to start
+ * Emits 'progress' event on each check, since boot duration is unknown.
  */
 module.exports.wait_for_boot = function(emulator_id) {
     var self = this;
     return Adb.shell(emulator_id, 'ps')
     .then(function(output) {
         if (output.match(/android\.process\.acore/)) {
+            events.emit('progress', { phase: 'boot', percentage: 100, target: emulator_id });
             return;
         } else {
-            process.stdout.write('.');
+            events.emit('progress', { phase: 'boot', percentage: null, target: emulator_id });
             return Q.delay(3000).then(function() {
                 return self.wait_for_boot(emulator_id);
             });
@@ -286,9 +291,9 @@ module.exports.resolveTarget = function(target) {
             return Q.reject('Unable to find target \'' + target + '\'. Failed to deploy to emulator.');
         }
 
-        return build.detectArchitecture(target)
-        .then(function(arch) {
-            return {target:target, arch:arch, isEmulator:true};
+        return build.detectAbis(target)
+        .then(function(abis) {
+            return {target:target, arch:abi.getBuildArch(abis), abis:abis, isEmulator:true};
         });
     });
 };
@@ -302,8 +307,7 @@ module.exports.resolveTarget = function(target) {
 module.exports.install = function(givenTarget, buildResults) {
 
     var target;
-    var manifest = new AndroidManifest(path.join(__dirname, '../../AndroidManifest.xml'));
-    var pkgName = manifest.getPackageId();
+    var launchInfo;
 
     // resolve the target emulator
     return Q().then(function () {
@@ -324,14 +328,17 @@ module.exports.install = function(givenTarget, buildResults) {
         return Q.when()
         .then(function() {
 
-            var apk_path = build.findBestApkForArchitecture(buildResults, target.arch);
+            var apk = build.findBestApk(buildResults, target.abis);
+            var apk_path = apk.path;
+            // Flavor's package id is only known from build results
+            launchInfo = build.getLaunchInfo(buildResults, apk_path, path.join(__dirname, '../../AndroidManifest.xml'));
             var execOptions = {
                 cwd: os.tmpdir(),
                 timeout:    INSTALL_COMMAND_TIMEOUT, // in milliseconds
                 killSignal: EXEC_KILL_SIGNAL
             };
 
-            events.emit('log', 'Using apk: ' + apk_path);
+            events.emit('log', 'Using apk: ' + apk_path + ' (' + apk.reason + ')');
             events.emit('verbose', 'Installing app on emulator...');
 
             // A special function to call adb install in specific environment w/ specific options.
@@ -365,7 +372,7 @@ module.exports.install = function(givenTarget, buildResults) {
 
                     // This promise is always resolved, even if 'adb uninstall' fails to uninstall app
                     // or the app doesn't installed at all, so no error catching needed.
-                    return Adb.uninstall(target.target, pkgName)
+                    return Adb.uninstall(target.target, launchInfo.packageId)
                     .then(function() {
                         return adbInstallWithOptions(target.target, apk_path, execOptions);
                     });
@@ -383,7 +390,7 @@ module.exports.install = function(givenTarget, buildResults) {
         events.emit('verbose', 'Unlocking screen...');
         return Adb.shell(target.target, 'input keyevent 82');
     }).then(function () {
-        Adb.start(target.target, pkgName + '/.' + manifest.getActivity().getName());
+        Adb.start(target.target, launchInfo.packageId + '/.' + launchInfo.activity);
     // report success or failure
     }).then(function (output) {
         events.emit('log', 'LAUNCH SUCCESS');
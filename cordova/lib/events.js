@@ -0,0 +1,34 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/**
+ * Emits an event on cordova-common's shared emitter. Api replaces the emitter
+ *   when it is constructed, so modules, which could be loaded before that,
+ *   emit through this function instead of capturing the emitter at require
+ *   time.
+ *
+ * @param   {String}  name  Event name, e.g. 'verbose' or 'warn'.
+ * @param   {...*}    args  Event arguments.
+ *
+ * @return  {Boolean}       Whether the event had listeners.
+ */
+module.exports.emit = function () {
+    var events = require('cordova-common').events;
+    return events.emit.apply(events, arguments);
+};
@@ -0,0 +1,137 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var systemLibraries = require('./builders/systemLibraries');
+
+// Project directories, which contents are compiled or packaged into packages
+var SOURCE_DIRS = ['src', 'res', 'libs', 'assets'];
+// Project files, which configure the build, besides all *.gradle files
+var BUILD_FILES = ['project.properties', 'gradle.properties'];
+// Library projects' build outputs, which change on every build
+var LIBRARY_OUTPUT_DIRS = ['build', 'bin', 'gen', 'ant-build', 'ant-gen', '.gradle'];
+// project.properties entries, which reference library projects and gradle
+// files of plugins' custom frameworks (CordovaLib is referenced as well)
+var REFERENCE_PATTERN = /^\s*(?:android\.library\.reference|cordova\.gradle\.include)\.\d+\s*=\s*(.+?)\s*$/gm;
+
+/**
+ * Computes a fingerprint of build inputs: project sources, resources, libs
+ *   and assets (including www), library projects referenced from
+ *   project.properties (CordovaLib and plugins' custom frameworks),
+ *   config.xml, AndroidManifest.xml, build files (all top-level *.gradle
+ *   files, project.properties and gradle.properties), locked system library
+ *   versions, installed plugins and build options. If fingerprint hasn't
+ *   changed since the last build, the build would produce the same packages.
+ *   Should be called with PlatformApi instance as a context.
+ *
+ * @param   {Object}  opts  Parsed build options.
+ *
+ * @return  {String}        Hex encoded SHA-256 of inputs.
+ */
+module.exports.compute = function (opts) {
+    var hash = crypto.createHash('sha256');
+    function add(name, content) {
+        hash.update(name + '\0');
+        hash.update(content);
+        hash.update('\0');
+    }
+
+    SOURCE_DIRS.forEach(function (dir) {
+        add(dir, hashTree(path.join(this.root, dir)));
+    }, this);
+
+    getReferences(this.root).forEach(function (reference) {
+        add(reference, hashTree(path.join(this.root, reference), LIBRARY_OUTPUT_DIRS));
+    }, this);
+
+    var gradleFiles = fs.readdirSync(this.root).filter(function (name) {
+        return /\.gradle$/.test(name) && fs.statSync(path.join(this.root, name)).isFile();
+    }, this).sort();
+
+    [this.locations.configXml, this.locations.manifest, systemLibraries.getLockFile(this.root)]
+    .concat(BUILD_FILES.concat(gradleFiles).map(function (file) {
+        return path.join(this.root, file);
+    }, this))
+    .forEach(function (file) {
+        add(path.relative(this.root, file), fs.existsSync(file) ? fs.readFileSync(file) : '');
+    }, this);
+
+    var platformJson = this._platformJson.root;
+    add('plugins', JSON.stringify({
+        installed: platformJson.installed_plugins,
+        dependent: platformJson.dependent_plugins,
+        metadata: platformJson.plugin_metadata
+    }));
+
+    // Signing properties carry passwords, but only their hash is stored
+    add('options', JSON.stringify({
+        buildType: opts.buildType,
+        buildMethod: opts.buildMethod,
+        arch: opts.arch,
+        extraArgs: opts.extraArgs,
+        signing: opts.packageInfo ? opts.packageInfo.toProperties() : null,
+        flavors: opts.flavors,
+        systemLibraryMappings: opts.systemLibraryMappings,
+        dependencyResolutions: opts.dependencyResolutions,
+        upgradeDependencies: opts.upgradeDependencies
+    }));
+
+    return hash.digest('hex');
+};
+
+// Lists paths of library projects and gradle files, referenced from
+// project.properties, relative to project root
+function getReferences(root) {
+    var propertiesFile = path.join(root, 'project.properties');
+    if (!fs.existsSync(propertiesFile)) return [];
+
+    var references = [];
+    var content = fs.readFileSync(propertiesFile, 'utf-8');
+    for (var match = REFERENCE_PATTERN.exec(content); match; match = REFERENCE_PATTERN.exec(content)) {
+        references.push(match[1]);
+    }
+    return references.sort();
+}
+
+// Hashes relative paths and contents of all files in directory, except for
+// excluded top-level subdirectories. A single file is hashed by its content.
+function hashTree(dir, excluded) {
+    var hash = crypto.createHash('sha256');
+    if (!fs.existsSync(dir)) return '';
+    if (!fs.statSync(dir).isDirectory()) {
+        return hash.update(fs.readFileSync(dir)).digest('hex');
+    }
+
+    (function walk(current) {
+        fs.readdirSync(current).sort()
+        .forEach(function (name) {
+            var file = path.join(current, name);
+            if (fs.statSync(file).isDirectory()) {
+                if (current !== dir || (excluded || []).indexOf(name) < 0) walk(file);
+                return;
+            }
+            hash.update(path.relative(dir, file).replace(/\\/g, '/') + '\0');
+            hash.update(crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex'));
+        });
+    })(dir);
+
+    return hash.digest('hex');
+}
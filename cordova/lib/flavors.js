@@ -0,0 +1,150 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var ConfigParser = require('cordova-common').ConfigParser;
+var CordovaError = require('cordova-common').CordovaError;
+var prepare = require('./prepare');
+
+/**
+ * @typedef  {Object}  Flavor
+ *
+ * Product flavor, declared in 'android.flavors' section of build.json.
+ *
+ * @property  {String}  name                 Flavor name, i.e. its key in
+ *   'android.flavors' section.
+ * @property  {String}  [packageId]          Package id, that replaces app's
+ *   one.
+ * @property  {String}  [packageIdSuffix]    Suffix, appended to app's package
+ *   id, e.g. '.staging'. Ignored if 'packageId' is specified.
+ * @property  {String}  [appName]            App name.
+ * @property  {Number}  [versionCodeOffset]  Number, added to app's
+ *   versionCode. Explicit versionCode (see lib/versionCode) gets ten times
+ *   the offset, since it is not multiplied by build.gradle.
+ * @property  {Object}  [preferences]        Map of config.xml preferences to
+ *   override.
+ */
+
+/**
+ * Selects flavors to build from build.json configuration.
+ *
+ * @param   {Object}  config        Parsed build.json.
+ * @param   {String}  [flavorName]  Name of the only flavor to build.
+ *
+ * @return  {Flavor[]}              List of flavors in order of declaration,
+ *   or null if build.json declares no flavors.
+ *
+ * @throws  {CordovaError}          If requested flavor is not declared.
+ */
+module.exports.select = function (config, flavorName) {
+    var declared = (config && config.android && config.android.flavors) || {};
+    var names = Object.keys(declared);
+
+    if (flavorName && names.indexOf(flavorName) < 0) {
+        throw new CordovaError('Flavor "' + flavorName + '" is not declared in build config' +
+            (names.length ? '. Available flavors: ' + names.join(', ') : ''));
+    }
+    if (names.length === 0) return null;
+
+    return names
+    .filter(function (name) {
+        return !flavorName || name === flavorName;
+    })
+    .map(function (name) {
+        var flavor = { name: name };
+        Object.keys(declared[name]).forEach(function (key) {
+            flavor[key] = declared[name][key];
+        });
+        return flavor;
+    });
+};
+
+/**
+ * Applies flavor's overrides to platform's config.xml and updates project
+ *   according to it. Should be called with PlatformApi instance as a context.
+ *
+ * @param   {Flavor}    flavor  Flavor to apply.
+ *
+ * @return  {Function}          Function, that reverts project to its
+ *   original state.
+ */
+module.exports.apply = function (flavor) {
+    var locations = this.locations;
+    var originalConfig = fs.readFileSync(locations.configXml, 'utf-8');
+
+    var config = new ConfigParser(locations.configXml);
+    var root = config.doc.getroot();
+
+    if (flavor.packageId || flavor.packageIdSuffix) {
+        root.attrib['android-packageName'] = flavor.packageId ||
+            (config.android_packageName() || config.packageName()) + flavor.packageIdSuffix;
+    }
+
+    if (flavor.appName) {
+        config.setName(flavor.appName);
+    }
+
+    if (flavor.versionCodeOffset) {
+        var versionCode = Number(config.android_versionCode() || prepare.default_versionCode(config.version()));
+        root.attrib['android-versionCode'] = String(versionCode + flavor.versionCodeOffset);
+    }
+
+    Object.keys(flavor.preferences || {}).forEach(function (name) {
+        config.setGlobalPreference(name, flavor.preferences[name]);
+    });
+
+    function revert() {
+        events.emit('verbose', 'Reverting flavor "' + flavor.name + '"');
+        fs.writeFileSync(locations.configXml, originalConfig, 'utf-8');
+        prepare.updateProjectAccordingTo(new ConfigParser(locations.configXml), locations);
+    }
+
+    events.emit('log', 'Applying flavor "' + flavor.name + '"');
+    config.write();
+    try {
+        prepare.updateProjectAccordingTo(config, locations);
+    } catch (err) {
+        // Project could be left partially updated
+        revert();
+        throw err;
+    }
+
+    return revert;
+};
+
+/**
+ * Moves APKs, produced by builder, to flavor's output directory, so that they
+ *   don't get overwritten by the next flavor's build.
+ *
+ * @param   {String[]}  apkPaths  Paths to built APKs.
+ * @param   {Flavor}    flavor    Flavor, APKs were built for.
+ *
+ * @return  {String[]}            New paths to APKs.
+ */
+module.exports.collectOutputs = function (apkPaths, flavor) {
+    return apkPaths.map(function (apkPath) {
+        var destination = path.join(path.dirname(apkPath), flavor.name, path.basename(apkPath));
+        shell.mkdir('-p', path.dirname(destination));
+        shell.mv('-f', apkPath, destination);
+        return destination;
+    });
+};
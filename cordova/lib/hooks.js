@@ -0,0 +1,149 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var spawn = require('cordova-common').superspawn.spawn;
+var CordovaError = require('cordova-common').CordovaError;
+
+// Hook scripts directory, relative to platform root
+var HOOKS_DIR = path.join('cordova', 'hooks');
+
+/**
+ * Runs an operation, surrounded by 'before_<name>' and 'after_<name>' hooks.
+ *   Should be called with PlatformApi instance as a context. See 'fire' for
+ *   details on how hooks are run.
+ *
+ * PlatformApi uses the following operation names: 'prepare', 'build', 'run',
+ *   'clean', 'plugin_install' and 'plugin_uninstall'.
+ *
+ * @param   {String}    name       Name of operation, e.g. 'build'.
+ * @param   {Object}    context    Hook context, passed to listeners and hook
+ *   scripts. 'hook', 'platform' and 'locations' properties are set
+ *   automatically and 'result' property is set to operation's result for
+ *   'after_<name>' hook.
+ * @param   {Function}  operation  Function that performs the operation.
+ *   Could return a promise.
+ *
+ * @return  {Promise}              Promise, fulfilled with operation's result,
+ *   or rejected if either operation or any of hooks fails.
+ */
+module.exports.around = function (name, context, operation) {
+    var self = this;
+    return module.exports.fire.call(this, 'before_' + name, context)
+    .then(function () {
+        return operation();
+    })
+    .then(function (result) {
+        context.result = result;
+        return module.exports.fire.call(self, 'after_' + name, context)
+        .thenResolve(result);
+    });
+};
+
+/**
+ * Emits a hook event and runs hook scripts from
+ *   '<platform>/cordova/hooks/<hook name>' directory in alphabetical order.
+ *   Should be called with PlatformApi instance as a context.
+ *
+ * JavaScript scripts should export a function that accepts hook context and
+ *   optionally returns a promise. Other scripts are executed with platform
+ *   root as the only argument and with hook context passed as JSON in
+ *   CORDOVA_HOOK_CONTEXT environment variable.
+ *
+ * @param   {String}  hook     Hook name, e.g. 'before_build'.
+ * @param   {Object}  context  Hook context.
+ *
+ * @return  {Promise}          Promise, fulfilled once all hook scripts have
+ *   completed, or rejected with CordovaError if any of them fails.
+ */
+module.exports.fire = function (hook, context) {
+    var self = this;
+
+    context.hook = hook;
+    context.platform = this.platform;
+    context.locations = this.locations;
+
+    this.events.emit(hook, context);
+
+    var hookDir = path.join(this.root, HOOKS_DIR, hook);
+    if (!fs.existsSync(hookDir)) return Q();
+
+    return fs.readdirSync(hookDir)
+    .filter(function (script) {
+        return script[0] !== '.';
+    })
+    .sort()
+    .reduce(function (promise, script) {
+        return promise.then(function () {
+            self.events.emit('verbose', 'Running ' + hook + ' hook script: ' + script);
+            return Q().then(function () {
+                return runScript.call(self, path.join(hookDir, script), context);
+            })
+            .catch(function (err) {
+                throw new CordovaError('Hook script ' + path.join(HOOKS_DIR, hook, script) + ' (relative to ' +
+                    self.root + ') failed: ' + (err.message || err));
+            });
+        });
+    }, Q());
+};
+
+function runScript(script, context) {
+    if (path.extname(script) === '.js') {
+        var hookFunction = require(script);
+        if (typeof hookFunction !== 'function') {
+            throw new CordovaError('Hook script should export a function');
+        }
+        return hookFunction(context);
+    }
+
+    var env = {};
+    Object.keys(process.env).forEach(function (name) {
+        env[name] = process.env[name];
+    });
+    env.CORDOVA_HOOK = context.hook;
+    env.CORDOVA_PLATFORM = context.platform;
+    env.CORDOVA_PLATFORM_ROOT = this.root;
+    env.CORDOVA_HOOK_CONTEXT = serialize(context);
+
+    // Output is forwarded through process.stdout, so that it doesn't corrupt
+    // JSON output, when the latter is redirected (see JsonLogger).
+    return spawn(script, [this.root], { cwd: this.root, env: env, stdio: ['inherit', 'pipe', 'inherit'] })
+    .progress(function (stdio) {
+        if (stdio.stdout) process.stdout.write(stdio.stdout);
+    });
+}
+
+// Context could contain objects with circular references (e.g. parsed config
+// files), so such references are omitted. PluginInfo instances carry parsed
+// plugin.xml, so only their basic properties are passed.
+function serialize(context) {
+    var seen = [];
+    return JSON.stringify(context, function (key, value) {
+        if (value && value.constructor && value.constructor.name === 'PluginInfo') {
+            return { id: value.id, version: value.version, dir: value.dir };
+        }
+        if (value && typeof value === 'object') {
+            if (seen.indexOf(value) >= 0) return undefined;
+            seen.push(value);
+        }
+        return value;
+    });
+}
@@ -0,0 +1,185 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var spawn = require('cordova-common').superspawn.spawn;
+var events = require('cordova-common').events;
+var Adb = require('./Adb');
+var AndroidManifest = require('./AndroidManifest');
+var GenericBuilder = require('./builders/GenericBuilder');
+
+/**
+ * Gathers information about platform project, that could be read from disk:
+ *   installed plugins, AndroidManifest.xml values and build artifacts. Should
+ *   be called with PlatformApi instance as a context.
+ *
+ * @return  {Object}  Project information:
+ *
+ *     {
+ *         plugins: [{ id: 'cordova-plugin-device', version: '1.1.0' }],
+ *         manifest: { packageId: 'io.cordova.hellocordova', versionName: '1.0.0',
+ *             versionCode: '10000', minSdkVersion: '14', targetSdkVersion: '23',
+ *             maxSdkVersion: undefined },
+ *         projectTarget: 'android-23',
+ *         artifacts: [{ path: '/path/to/build/outputs/apk/android-debug.apk',
+ *             buildType: 'debug', size: 1745256,
+ *             modified: '2016-01-26T14:35:12.000Z' }]
+ *     }
+ */
+module.exports.getProjectInfo = function () {
+    var platformJson = this._platformJson.root;
+    var metadata = platformJson.plugin_metadata || {};
+
+    var plugins = Object.keys(metadata).sort()
+    .map(function (pluginId) {
+        return { id: pluginId, version: metadata[pluginId] };
+    });
+
+    var manifest = null;
+    if (fs.existsSync(this.locations.manifest)) {
+        var androidManifest = new AndroidManifest(this.locations.manifest);
+        manifest = {
+            packageId: androidManifest.getPackageId(),
+            versionName: androidManifest.getVersionName(),
+            versionCode: androidManifest.getVersionCode(),
+            minSdkVersion: androidManifest.getMinSdkVersion(),
+            targetSdkVersion: androidManifest.getTargetSdkVersion(),
+            maxSdkVersion: androidManifest.getMaxSdkVersion()
+        };
+    }
+
+    var projectTarget = null;
+    var projectProperties = path.join(this.root, 'project.properties');
+    if (fs.existsSync(projectProperties)) {
+        var match = /^\s*target\s*=\s*(.*?)\s*$/m.exec(fs.readFileSync(projectProperties, 'utf-8'));
+        projectTarget = match && match[1];
+    }
+
+    return {
+        plugins: plugins,
+        manifest: manifest,
+        projectTarget: projectTarget,
+        artifacts: findArtifacts(this.root)
+    };
+};
+
+/**
+ * Gathers information about build environment: Android SDK, build tools and
+ *   Java versions, as well as connected devices and started emulators. Tools
+ *   that couldn't be found are reported as null. Should be called with
+ *   PlatformApi instance as a context.
+ *
+ * @return  {Promise<Object>}  Promise for environment information:
+ *
+ *     {
+ *         java: '1.8.0_66',
+ *         androidSdk: { path: '/path/to/sdk', platforms: ['android-22', 'android-23'] },
+ *         buildTools: ['22.0.1', '23.0.2'],
+ *         targets: { devices: ['0123456789ABCDEF'], emulators: ['emulator-5554'] }
+ *     }
+ */
+module.exports.getEnvironmentInfo = function () {
+    var sdkDir = getSdkDir();
+
+    return Q.all([getJavaVersion(), listTargets()])
+    .spread(function (javaVersion, targets) {
+        return {
+            java: javaVersion,
+            androidSdk: sdkDir && {
+                path: sdkDir,
+                platforms: listDir(path.join(sdkDir, 'platforms'))
+            },
+            buildTools: sdkDir && listDir(path.join(sdkDir, 'build-tools')),
+            targets: targets
+        };
+    });
+};
+
+// Lists APKs from all known builders' output directories, most recent first.
+// Intermediate (unaligned) packages are omitted.
+function findArtifacts(projectRoot) {
+    var binDirs = new GenericBuilder(projectRoot).binDirs;
+    var shellSilent = shell.config.silent;
+    shell.config.silent = true;
+
+    var artifacts = Object.keys(binDirs)
+    .reduce(function (result, builderName) {
+        if (!fs.existsSync(binDirs[builderName])) return result;
+        return result.concat(shell.ls(path.join(binDirs[builderName], '*.apk')));
+    }, [])
+    .filter(function (apk) {
+        return !/-unaligned/.exec(path.basename(apk));
+    })
+    .map(function (apk) {
+        var stat = fs.statSync(apk);
+        var buildType = /-release/.exec(path.basename(apk)) ? 'release' :
+            /-debug/.exec(path.basename(apk)) ? 'debug' : null;
+        return { path: apk, buildType: buildType, size: stat.size, modified: stat.mtime };
+    })
+    .sort(function (a, b) {
+        return b.modified - a.modified;
+    });
+
+    shell.config.silent = shellSilent;
+    return artifacts;
+}
+
+function getSdkDir() {
+    var sdkDir = process.env.ANDROID_HOME;
+    if (!sdkDir) {
+        // Guess SDK location from 'adb' location, which lives in <sdk>/platform-tools
+        var adb = shell.which('adb');
+        sdkDir = adb && path.resolve(fs.realpathSync(adb), '../..');
+    }
+
+    return sdkDir && fs.existsSync(sdkDir) ? sdkDir : null;
+}
+
+function listDir(dir) {
+    return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+function getJavaVersion() {
+    var output = '';
+    // 'java -version' prints to stderr
+    return spawn('java', ['-version'])
+    .progress(function (stdio) {
+        output += stdio.stderr || stdio.stdout || '';
+    })
+    .then(function () {
+        var match = /version\s+"([^"]+)"/.exec(output);
+        return match ? match[1] : null;
+    }, function (err) {
+        events.emit('verbose', 'Failed to detect Java version: ' + err.message);
+        return null;
+    });
+}
+
+function listTargets() {
+    return Q.all([Adb.devices(), Adb.devices({ emulators: true })])
+    .spread(function (devices, emulators) {
+        return { devices: devices, emulators: emulators };
+    }, function (err) {
+        events.emit('verbose', 'Failed to list connected targets: ' + err.message);
+        return null;
+    });
+}
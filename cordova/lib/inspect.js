@@ -0,0 +1,172 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var xmlHelpers = require('cordova-common').xmlHelpers;
+var ConfigParser = require('cordova-common').ConfigParser;
+var ApkFile = require('./ApkFile');
+var buildReport = require('./buildReport');
+
+/**
+ * Reads package information from APK.
+ *
+ * @param   {String}  apkPath  Path to APK.
+ *
+ * @return  {Object}           Package information:
+ *
+ *     {
+ *         path: '/path/to/android-debug.apk',
+ *         packageId: 'io.cordova.hellocordova',
+ *         versionCode: '100008', versionName: '1.0.0',
+ *         minSdkVersion: '14', targetSdkVersion: '23', maxSdkVersion: undefined,
+ *         appName: 'HelloCordova',
+ *         permissions: ['android.permission.INTERNET'],
+ *         activities: [{ name: 'io.cordova.hellocordova.MainActivity', label: 'HelloCordova' }]
+ *     }
+ */
+module.exports.readApk = function (apkPath) {
+    var apk = new ApkFile(apkPath);
+    var info = describeManifest(apk.getManifest(), function (value) {
+        return /^@0x/.exec(value || '') ? apk.resolveString(value) : value;
+    });
+    info.path = path.resolve(apkPath);
+    return info;
+};
+
+/**
+ * Checks that package information matches the values, 'prepare' has written
+ *   to project's AndroidManifest.xml and config.xml. Should be called with
+ *   PlatformApi instance as a context.
+ *
+ * Gradle builds derive versionCode from manifest's one (see build.gradle), so
+ *   versionCode is expected to match the one from build report if APK is
+ *   listed there, or to be manifest's one, possibly multiplied by 10 with a
+ *   single digit added. Package is allowed to have permissions and activities,
+ *   which are not listed in project manifest, since these could come from
+ *   libraries' manifests.
+ *
+ * @param   {Object}    apkInfo  Package information, returned by 'readApk'.
+ *
+ * @return  {Object[]}           List of checks, each with 'name', 'expected',
+ *   'actual' and 'ok' properties.
+ */
+module.exports.check = function (apkInfo) {
+    var expected = describeManifest(xmlHelpers.parseElementtreeSync(this.locations.manifest), function (value) {
+        return value;
+    });
+    var config = fs.existsSync(this.locations.configXml) ? new ConfigParser(this.locations.configXml) : null;
+
+    var report = buildReport.read(this.root);
+    var artifact = report && report.artifacts.filter(function (candidate) {
+        return candidate.path === apkInfo.path;
+    })[0];
+
+    var checks = [];
+    function addCheck(name, expectedValue, actualValue, ok) {
+        checks.push({
+            name: name,
+            expected: expectedValue,
+            actual: actualValue,
+            ok: arguments.length > 3 ? ok : expectedValue === actualValue
+        });
+    }
+
+    addCheck('packageId', expected.packageId, apkInfo.packageId);
+    addCheck('versionName', expected.versionName, apkInfo.versionName);
+
+    if (artifact && artifact.versionCode) {
+        addCheck('versionCode', String(artifact.versionCode), apkInfo.versionCode);
+    } else {
+        addCheck('versionCode', expected.versionCode, apkInfo.versionCode,
+            apkInfo.versionCode === expected.versionCode ||
+            Math.floor(Number(apkInfo.versionCode) / 10) === Number(expected.versionCode));
+    }
+
+    ['minSdkVersion', 'targetSdkVersion', 'maxSdkVersion'].forEach(function (name) {
+        addCheck(name, expected[name], apkInfo[name]);
+    });
+
+    if (config) {
+        addCheck('appName', config.name(), apkInfo.appName);
+    }
+
+    addCheck('permissions', expected.permissions, apkInfo.permissions,
+        expected.permissions.every(function (permission) {
+            return apkInfo.permissions.indexOf(permission) >= 0;
+        }));
+
+    var activityNames = apkInfo.activities.map(function (activity) {
+        return activity.name;
+    });
+    addCheck('activities', expected.activities.map(function (activity) {
+        return activity.name;
+    }), activityNames, expected.activities.every(function (activity) {
+        return activityNames.indexOf(activity.name) >= 0;
+    }));
+
+    // Flavors could override package id (which activities' names depend on)
+    // and app name, so these are expected to differ from project's values.
+    if (artifact && artifact.flavor) {
+        checks.forEach(function (check) {
+            if (!check.ok && ['packageId', 'appName', 'activities'].indexOf(check.name) >= 0) {
+                check.ok = true;
+                check.note = 'overridden by flavor "' + artifact.flavor + '"';
+            }
+        });
+    }
+
+    return checks;
+};
+
+// Extracts package information from parsed manifest, source or decoded one.
+// Values are passed through resolve function to resolve resource references.
+function describeManifest(manifest, resolve) {
+    var root = manifest.getroot();
+    var usesSdk = root.find('uses-sdk');
+    var application = root.find('application');
+    /*jshint -W069 */
+    var packageId = root.attrib['package'];
+    /*jshint +W069 */
+
+    // Class names could be relative to package
+    function fullName(name) {
+        if (!name || (name[0] !== '.' && name.indexOf('.') >= 0)) return name;
+        return packageId + (name[0] === '.' ? '' : '.') + name;
+    }
+
+    return {
+        packageId: packageId,
+        versionCode: root.attrib['android:versionCode'],
+        versionName: resolve(root.attrib['android:versionName']),
+        minSdkVersion: usesSdk ? usesSdk.attrib['android:minSdkVersion'] : undefined,
+        targetSdkVersion: usesSdk ? usesSdk.attrib['android:targetSdkVersion'] : undefined,
+        maxSdkVersion: usesSdk ? usesSdk.attrib['android:maxSdkVersion'] : undefined,
+        appName: application ? resolve(application.attrib['android:label']) : undefined,
+        permissions: root.findall('uses-permission').map(function (permission) {
+            return permission.attrib['android:name'];
+        }),
+        activities: application ? application.findall('activity').map(function (activity) {
+            return {
+                name: fullName(activity.attrib['android:name']),
+                label: resolve(activity.attrib['android:label'])
+            };
+        }) : []
+    };
+}
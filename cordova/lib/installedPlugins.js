@@ -0,0 +1,270 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var AndroidProject = require('./AndroidProject');
+var pluginHandlers = require('./pluginHandlers');
+
+/**
+ * Lists plugins, installed to platform. Should be called with PlatformApi
+ *   instance as a context.
+ *
+ * @return  {Object[]}  An array of plugin records, sorted by plugin id. See
+ *   'get' method for record structure.
+ */
+module.exports.list = function () {
+    var self = this;
+    return getInstalledPluginIds(this._platformJson.root)
+    .map(function (pluginId) {
+        return module.exports.get.call(self, pluginId);
+    });
+};
+
+/**
+ * Gets the information about installed plugin and everything it owns in
+ *   platform. Should be called with PlatformApi instance as a context.
+ *
+ * The files, frameworks and config munges could only be determined if plugin
+ *   sources are available in project's 'plugins' directory. Otherwise only
+ *   the information, stored in platform json, is returned and 'dir' is null.
+ *
+ * @param   {String}  pluginId  Id of plugin to get information for.
+ *
+ * @return  {Object}            Plugin record or null if plugin is not
+ *   installed. The record has the following structure:
+ *
+ *     {
+ *         id: 'cordova-plugin-device',
+ *         version: '1.1.0',
+ *         topLevel: true,
+ *         variables: {},
+ *         dir: '/path/to/plugins/cordova-plugin-device',
+ *         files: [{ type: 'source-file', src: 'src/android/Device.java',
+ *             target: 'src/org/apache/cordova/device/Device.java' }],
+ *         frameworks: [{ src: 'com.android.support:support-v4:+',
+ *             type: 'sys', custom: false, target: null }],
+ *         jsModules: [{ id: 'cordova-plugin-device.device',
+ *             file: 'plugins/cordova-plugin-device/www/device.js',
+ *             clobbers: ['device'] }],
+ *         configMunges: [{ file: 'res/xml/config.xml', parent: '/*',
+ *             xml: '<feature name="Device">...</feature>' }]
+ *     }
+ */
+module.exports.get = function (pluginId) {
+    var platformJson = this._platformJson.root;
+    if (getInstalledPluginIds(platformJson).indexOf(pluginId) < 0) {
+        return null;
+    }
+
+    var installedPlugins = platformJson.installed_plugins || {};
+    var dependentPlugins = platformJson.dependent_plugins || {};
+    var metadata = platformJson.plugin_metadata || {};
+    var variables = installedPlugins[pluginId] || dependentPlugins[pluginId] || {};
+
+    var record = {
+        id: pluginId,
+        version: metadata[pluginId],
+        topLevel: !!installedPlugins[pluginId],
+        variables: variables,
+        dir: null,
+        files: [],
+        frameworks: [],
+        jsModules: (platformJson.modules || []).filter(function (jsModule) {
+            return jsModule.file.indexOf(['plugins', pluginId, ''].join('/')) === 0;
+        }),
+        configMunges: []
+    };
+
+    var plugin = this._getInstalledPluginInfo(pluginId);
+    if (!plugin) {
+        this.events.emit('verbose', 'Sources of plugin "' + pluginId + '" are not found, ' +
+            'files and config changes it owns could not be determined.');
+        return record;
+    }
+
+    var root = this.root;
+    var project = AndroidProject.getProjectFile(root);
+    // We don't know whether plugin was installed to platform_www, so use www
+    // since this is the default for all plugin operations
+    var options = { variables: variables };
+
+    record.dir = plugin.dir;
+    record.version = record.version || plugin.version;
+
+    plugin.getFilesAndFrameworks(this.platform)
+        .concat(plugin.getAssets(this.platform))
+    .forEach(function (item) {
+        var destination = pluginHandlers.getDestination(item, plugin, project, options);
+        var target = destination && path.relative(root, destination).replace(/\\/g, '/');
+
+        if (item.itemType === 'framework') {
+            record.frameworks.push({
+                src: item.src,
+                type: item.custom ? (item.type || 'subproject') : 'sys',
+                custom: item.custom,
+                parent: item.parent,
+                target: target
+            });
+        } else if (target) {
+            record.files.push({
+                type: item.itemType,
+                src: item.src,
+                target: target
+            });
+        }
+    });
+
+    var munge = this._munger.generate_plugin_config_munge(plugin, variables);
+    Object.keys(munge.files).forEach(function (file) {
+        var parents = munge.files[file].parents;
+        Object.keys(parents).forEach(function (parent) {
+            parents[parent].forEach(function (change) {
+                record.configMunges.push({
+                    file: file,
+                    parent: parent,
+                    xml: change.xml
+                });
+            });
+        });
+    });
+
+    return record;
+};
+
+/**
+ * Checks that files installed by plugins are still in place and match the
+ *   plugin sources. Should be called with PlatformApi instance as a context.
+ *
+ * @return  {Object[]}  An array of verification results, one per installed
+ *   plugin, sorted by plugin id:
+ *
+ *     {
+ *         id: 'cordova-plugin-device',
+ *         version: '1.1.0',
+ *         status: 'modified', // 'ok', 'modified' if any item is
+ *                             // missing or modified, or 'unknown' if
+ *                             // sources of plugin or of some item are not
+ *                             // available
+ *         items: [{ type: 'source-file', src: 'src/android/Device.java',
+ *             target: 'src/org/apache/cordova/device/Device.java',
+ *             status: 'modified' }] // 'ok', 'missing', 'modified' or
+ *                                   // 'unknown'
+ *     }
+ */
+module.exports.verify = function () {
+    var self = this;
+    var root = this.root;
+    var project = AndroidProject.getProjectFile(root);
+    var platformJson = this._platformJson.root;
+
+    return getInstalledPluginIds(platformJson)
+    .map(function (pluginId) {
+        var result = {
+            id: pluginId,
+            version: (platformJson.plugin_metadata || {})[pluginId],
+            status: 'unknown',
+            items: []
+        };
+
+        var plugin = self._getInstalledPluginInfo(pluginId);
+        if (!plugin) {
+            self.events.emit('warn', 'Sources of plugin "' + pluginId + '" are not found, skipping verification.');
+            return result;
+        }
+
+        pluginHandlers.getItems(plugin, self.platform)
+        .forEach(function (item) {
+            // cordova-lib installs www files to platform_www, but plugins could
+            // also be installed directly to www, so check both locations.
+            var destination = pluginHandlers.getDestination(item, plugin, project, { usePlatformWww: true });
+            var wwwDestination = pluginHandlers.getDestination(item, plugin, project, { usePlatformWww: false });
+            if (destination && !fs.existsSync(destination) && fs.existsSync(wwwDestination)) {
+                destination = wwwDestination;
+            }
+
+            // System libraries are not copied to project, so there is nothing to verify
+            if (!destination) return;
+
+            var status = pluginHandlers.getInstallStatus(item, plugin, destination);
+
+            result.items.push({
+                type: item.itemType,
+                src: item.src,
+                target: path.relative(root, destination).replace(/\\/g, '/'),
+                status: status
+            });
+        });
+
+        var statuses = result.items.map(function (item) {
+            return item.status;
+        });
+        if (statuses.indexOf('modified') >= 0 || statuses.indexOf('missing') >= 0) {
+            result.status = 'modified';
+        } else if (statuses.indexOf('unknown') >= 0) {
+            result.status = 'unknown';
+        } else {
+            result.status = 'ok';
+        }
+
+        return result;
+    });
+};
+
+/**
+ * Maps system libraries, referenced by installed plugins' <framework> tags,
+ *   to ids of plugins referencing them. Plugins, which sources are not
+ *   available, are skipped. Should be called with PlatformApi instance as a
+ *   context.
+ *
+ * @return  {Object}  Map of library references (as written to
+ *   project.properties) to arrays of plugin ids, e.g.
+ *
+ *     { 'com.android.support:support-v4:+': ['cordova-plugin-camera'] }
+ */
+module.exports.getSystemLibraryOwners = function () {
+    var self = this;
+    var owners = {};
+    getInstalledPluginIds(this._platformJson.root)
+    .forEach(function (pluginId) {
+        var plugin = self._getInstalledPluginInfo(pluginId);
+        if (!plugin) return;
+
+        plugin.getFrameworks(self.platform)
+        .forEach(function (framework) {
+            if (framework.custom) return;
+            owners[framework.src] = owners[framework.src] || [];
+            owners[framework.src].push(pluginId);
+        });
+    });
+
+    return owners;
+};
+
+function getInstalledPluginIds(platformJson) {
+    var ids = {};
+    [platformJson.installed_plugins, platformJson.dependent_plugins, platformJson.plugin_metadata]
+    .forEach(function (pluginsMap) {
+        Object.keys(pluginsMap || {}).forEach(function (pluginId) {
+            ids[pluginId] = true;
+        });
+    });
+
+    return Object.keys(ids).sort();
+}
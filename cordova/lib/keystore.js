@@ -0,0 +1,303 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var spawn = require('cordova-common').superspawn.spawn;
+var CordovaError = require('cordova-common').CordovaError;
+var secrets = require('./secrets');
+var buildJson = require('./buildJson');
+
+var DEFAULT_VALIDITY = 10000; // in days
+var DEFAULT_DNAME = 'CN=Android, O=Cordova, C=US';
+
+// Environment variables, passwords are passed to keytool in, so that they
+// don't show up in process list
+var STORE_PASSWORD_VAR = 'CORDOVA_KEYTOOL_STOREPASS';
+var KEY_PASSWORD_VAR = 'CORDOVA_KEYTOOL_KEYPASS';
+
+// Makes keytool print dates in a format, which doesn't depend on user's locale
+// and time zone: 'Thu Mar 12 10:00:00 UTC 2043'
+var LOCALE_ARGS = ['-J-Duser.language=en', '-J-Duser.country=US', '-J-Duser.timezone=UTC'];
+var MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * @typedef  {Object}  KeystoreOptions
+ *
+ * @property  {String}  buildConfig      Path to build.json. For 'create' the
+ *   new keystore is written to this file, for 'list' and 'verify' missing
+ *   options are read from it.
+ * @property  {String}  buildType        Either 'debug' or 'release' - the
+ *   section of build.json to use.
+ * @property  {String}  [keystore]       Path to keystore file.
+ * @property  {String}  [alias]          Key alias.
+ * @property  {String}  [storePassword]  Keystore password. Could be an
+ *   'env:VAR' or 'file:/path' reference (see secrets.resolve).
+ * @property  {String}  [password]       Key password. Could be a reference
+ *   as well.
+ * @property  {String}  [keystoreType]   Keystore type, e.g. 'pkcs12'.
+ * @property  {String}  [dname]          Distinguished name of certificate
+ *   owner, used by 'create'.
+ * @property  {Number}  [validity]       Certificate validity in days, used by
+ *   'create'.
+ */
+
+/**
+ * Generates a new keystore with a single key and writes it into specified
+ *   section of build.json, so that it is used for signing subsequent builds.
+ *   Other settings of the section are kept, except for passwords and type of
+ *   previous keystore.
+ *
+ * @param   {KeystoreOptions}  options
+ *
+ * @return  {Promise<Object>}  Promise for build.json section, that has been
+ *   written.
+ */
+module.exports.create = function (options) {
+    if (!options.keystore || !options.alias) {
+        return Q.reject(new CordovaError('Both keystore and alias are required to create a keystore'));
+    }
+
+    var keystore = path.resolve(options.keystore);
+    if (fs.existsSync(keystore)) {
+        return Q.reject(new CordovaError('Keystore ' + keystore + ' already exists'));
+    }
+
+    var args = ['-genkeypair', '-v',
+        '-keystore', keystore,
+        '-alias', options.alias,
+        '-keyalg', 'RSA',
+        '-keysize', '2048',
+        '-validity', String(options.validity || DEFAULT_VALIDITY),
+        '-dname', options.dname || DEFAULT_DNAME];
+
+    var signing = {
+        storePassword: secrets.resolve(options.storePassword),
+        password: secrets.resolve(options.password),
+        keystoreType: options.keystoreType
+    };
+
+    shell.mkdir('-p', path.dirname(keystore));
+
+    // keytool's output is forwarded through process.stdout, so that callers
+    // could redirect it
+    return keytool(args, signing)
+    .then(function (output) {
+        if (output) process.stdout.write(output + '\n');
+
+        var config = readBuildConfig(options.buildConfig) || {};
+        config.android = config.android || {};
+        var section = config.android[options.buildType] || {};
+        section.keystore = path.relative(path.dirname(path.resolve(options.buildConfig)), keystore).replace(/\\/g, '/');
+        section.alias = options.alias;
+
+        // Password references are written as is, so that secrets do not end
+        // up in build.json. Relative 'file:' paths are rebased on its location.
+        ['storePassword', 'password', 'keystoreType'].forEach(function (key) {
+            if (options[key]) {
+                section[key] = options[key];
+            } else {
+                delete section[key];
+            }
+        });
+        ['storePassword', 'password'].forEach(function (key) {
+            var match = section[key] && /^file:(.+)$/.exec(section[key]);
+            if (match) {
+                var file = path.resolve(match[1].replace(/^~/, process.env.HOME));
+                section[key] = 'file:' + path.relative(path.dirname(path.resolve(options.buildConfig)), file).replace(/\\/g, '/');
+            }
+        });
+
+        config.android[options.buildType] = section;
+        fs.writeFileSync(options.buildConfig, JSON.stringify(config, null, 4) + '\n', 'utf-8');
+
+        events.emit('log', 'Keystore ' + keystore + ' written to "android.' + options.buildType +
+            '" section of ' + options.buildConfig);
+        return section;
+    });
+};
+
+/**
+ * Lists keys in keystore.
+ *
+ * @param   {KeystoreOptions}  options
+ *
+ * @return  {Promise<Object[]>}  Promise for the list of keys, each with
+ *   'alias', 'sha1', 'sha256' and 'validUntil' properties.
+ */
+module.exports.list = function (options) {
+    var signing = resolveOptions(options);
+    if (!signing.keystore) {
+        return Q.reject(new CordovaError('Keystore is not specified neither in options nor in build.json'));
+    }
+
+    return listKeys(signing);
+};
+
+/**
+ * Checks that keystore exists, passwords are correct, and key with specified
+ *   alias is present and not expired.
+ *
+ * @param   {KeystoreOptions}  options
+ *
+ * @return  {Promise<Object>}  Promise for the verified key (see 'list'),
+ *   rejected with CordovaError if verification fails.
+ */
+module.exports.verify = function (options) {
+    var signing = resolveOptions(options);
+    if (!signing.keystore || !signing.alias) {
+        return Q.reject(new CordovaError('Both keystore and alias should be specified either in options or in build.json'));
+    }
+    if (!fs.existsSync(signing.keystore)) {
+        return Q.reject(new CordovaError('Keystore ' + signing.keystore + ' does not exist'));
+    }
+
+    var key;
+    return listKeys(signing)
+    .then(function (keys) {
+        key = keys.filter(function (candidate) {
+            return candidate.alias.toLowerCase() === signing.alias.toLowerCase();
+        })[0];
+
+        if (!key) {
+            throw new CordovaError('Alias "' + signing.alias + '" is not found in keystore ' + signing.keystore);
+        }
+        if (!key.validUntil) {
+            events.emit('warn', 'Could not determine expiration date of key "' + key.alias + '"');
+        } else if (key.validUntil < new Date()) {
+            throw new CordovaError('Certificate of key "' + signing.alias + '" has expired on ' + key.validUntil.toString());
+        }
+
+        // Generating a certificate request requires access to private key,
+        // so this checks the key password without modifying the keystore.
+        var requestFile = path.join(os.tmpdir(), 'cordova-keystore-verify-' + process.pid + '.csr');
+        return keytool(['-certreq', '-keystore', signing.keystore, '-alias', signing.alias, '-file', requestFile], signing)
+        .finally(function () {
+            shell.rm('-f', requestFile);
+        });
+    })
+    .then(function () {
+        events.emit('log', 'Key "' + key.alias + '" in keystore ' + signing.keystore + ' is valid');
+        return key;
+    }, function (err) {
+        throw err instanceof CordovaError ? err : new CordovaError('Keystore verification failed: ' + err.message);
+    });
+};
+
+// Supplements options, that are not specified explicitly, with values from
+// build.json (including the ones it extends) and resolves password references.
+// Paths in build.json are relative to its location.
+function resolveOptions(options) {
+    var config = options.buildConfig && fs.existsSync(options.buildConfig) ?
+        buildJson.load(options.buildConfig) : null;
+    var section = (config && config.android && config.android[options.buildType]) || {};
+    var result = {};
+
+    ['keystore', 'alias', 'storePassword', 'password', 'keystoreType'].forEach(function (key) {
+        result[key] = options[key] || section[key];
+    });
+
+    ['storePassword', 'password'].forEach(function (key) {
+        result[key] = options[key] ? secrets.resolve(options[key]) :
+            secrets.resolve(section[key], path.dirname(path.resolve(options.buildConfig)));
+    });
+
+    if (options.keystore) {
+        result.keystore = path.resolve(options.keystore);
+    } else if (section.keystore) {
+        var keystore = section.keystore.replace(/^~/, process.env.HOME);
+        result.keystore = path.resolve(path.dirname(options.buildConfig), keystore);
+    }
+
+    return result;
+}
+
+function listKeys(signing) {
+    return keytool(['-list', '-v', '-keystore', signing.keystore], { storePassword: signing.storePassword,
+        keystoreType: signing.keystoreType })
+    .then(parseKeys);
+}
+
+// Runs keytool with passwords and keystore type from signing options and
+// returns its output. Passwords are passed in environment; the ones, which
+// are not specified, are prompted by keytool on stderr.
+function keytool(args, signing) {
+    var env = {};
+    var output = '';
+    args = LOCALE_ARGS.concat(args);
+
+    if (signing.storePassword) {
+        env[STORE_PASSWORD_VAR] = signing.storePassword;
+        args.push('-storepass:env', STORE_PASSWORD_VAR);
+    }
+    if (signing.password) {
+        env[KEY_PASSWORD_VAR] = signing.password;
+        args.push('-keypass:env', KEY_PASSWORD_VAR);
+    }
+    if (signing.keystoreType) args.push('-storetype', signing.keystoreType);
+
+    return spawn('keytool', args, { stdio: ['inherit', 'pipe', 'inherit'], env: env })
+    .progress(function (stdio) {
+        if (stdio.stdout) output += stdio.stdout;
+    })
+    .catch(function (err) {
+        // keytool reports errors on stdout
+        var error = /^keytool error: .+$/m.exec(output);
+        throw new CordovaError(error ? error[0] : err.message);
+    });
+}
+
+function readBuildConfig(buildConfig) {
+    if (!buildConfig || !fs.existsSync(buildConfig)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(buildConfig, 'utf-8'));
+    } catch (err) {
+        throw new CordovaError('Failed to parse ' + buildConfig + ': ' + err.message);
+    }
+}
+
+// Parses verbose output of 'keytool -list'
+function parseKeys(output) {
+    return output.split(/^Alias name:/m).slice(1)
+    .map(function (entry) {
+        var sha1 = /SHA1:\s*([0-9A-F:]+)/i.exec(entry);
+        var sha256 = /SHA256:\s*([0-9A-F:]+)/i.exec(entry);
+        var validUntil = /until:\s*(.+)$/m.exec(entry);
+
+        return {
+            alias: entry.split('\n')[0].trim(),
+            sha1: sha1 && sha1[1],
+            sha256: sha256 && sha256[1],
+            validUntil: validUntil && parseDate(validUntil[1])
+        };
+    });
+}
+
+// Parses date, printed by keytool with LOCALE_ARGS, or returns null
+function parseDate(date) {
+    var match = /^\w{3} (\w{3}) (\d{1,2}) (\d{2}):(\d{2}):(\d{2}) (?:UTC|GMT) (\d{4})$/.exec(date.trim());
+    if (!match || MONTHS.indexOf(match[1]) < 0) return null;
+
+    return new Date(Date.UTC(Number(match[6]), MONTHS.indexOf(match[1]), Number(match[2]),
+        Number(match[3]), Number(match[4]), Number(match[5])));
+}
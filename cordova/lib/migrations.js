@@ -0,0 +1,169 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var properties_parser = require('properties-parser');
+
+/**
+ * Ordered list of platform migrations. Every migration brings platform
+ *   project from previous schema version to migration's one. Migrations must
+ *   be idempotent, i.e. running a migration on already migrated project makes
+ *   no changes.
+ *
+ * Each migration's 'run' method is called with PlatformApi instance as a
+ *   context and a dryRun flag, and returns a list of human-readable
+ *   descriptions of changes it has made (or would make in dry run mode).
+ */
+var MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize Ant-era library references in project.properties',
+        run: function (dryRun) {
+            var propertiesFile = path.join(this.root, 'project.properties');
+            if (!fs.existsSync(propertiesFile)) return [];
+
+            var content = fs.readFileSync(propertiesFile, 'utf-8');
+            var editor = properties_parser.createEditor(propertiesFile);
+            var changes = [];
+
+            ['android.library.reference', 'cordova.gradle.include', 'cordova.system.library']
+            .forEach(function (prefix) {
+                // Ant tolerates gaps in numbering and Windows-style separators,
+                // but AndroidProject stops reading the list at the first gap.
+                var keyRegex = new RegExp('^\\s*' + prefix.replace(/\./g, '\\.') + '\\.(\\d+)\\s*[=:]', 'mg');
+                var indices = [];
+                var match;
+                while ((match = keyRegex.exec(content))) {
+                    if (indices.indexOf(Number(match[1])) === -1) {
+                        indices.push(Number(match[1]));
+                    }
+                }
+                indices.sort(function (a, b) { return a - b; });
+
+                var values = [];
+                indices.forEach(function (index) {
+                    var value = editor.get(prefix + '.' + index).replace(/\\/g, '/');
+                    if (values.indexOf(value) === -1) {
+                        values.push(value);
+                    }
+                });
+
+                var isNormalized = indices.length === values.length && indices.every(function (index, i) {
+                    return index === i + 1 && editor.get(prefix + '.' + index) === values[i];
+                });
+                if (isNormalized) return;
+
+                indices.forEach(function (index) {
+                    editor.unset(prefix + '.' + index);
+                });
+                values.forEach(function (value, i) {
+                    editor.set(prefix + '.' + (i + 1), value);
+                });
+
+                changes.push('project.properties: rewrote ' + prefix + ' entries ' +
+                    JSON.stringify(indices) + ' as ' + JSON.stringify(values));
+            });
+
+            if (changes.length > 0 && !dryRun) {
+                fs.writeFileSync(propertiesFile, editor.toString(), 'utf-8');
+            }
+
+            return changes;
+        }
+    },
+    {
+        version: 2,
+        description: 'Copy platform www files to platform_www',
+        run: function (dryRun) {
+            // Platforms, created before platform_www was introduced, only have
+            // cordova.js and plugin files in assets/www, which is wiped out by
+            // prepare, so these files are copied to platform_www.
+            var www = this.locations.www;
+            var platformWww = this.locations.platformWww;
+
+            return ['cordova.js', 'cordova_plugins.js', 'plugins']
+            .filter(function (file) {
+                return fs.existsSync(path.join(www, file)) && !fs.existsSync(path.join(platformWww, file));
+            })
+            .map(function (file) {
+                if (!dryRun) {
+                    shell.mkdir('-p', platformWww);
+                    shell.cp('-rf', path.join(www, file), platformWww);
+                }
+
+                return 'copied ' + path.relative(this.root, path.join(www, file)) + ' to ' +
+                    path.relative(this.root, platformWww);
+            }, this);
+        }
+    }
+];
+
+/**
+ * Schema version of platform project, created by this version of platform.
+ */
+module.exports.SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Runs migrations, which are newer than schema version, stored in platform
+ *   json, in order and updates the stored version after each successful
+ *   migration. Should be called with PlatformApi instance as a context.
+ *
+ * @param   {Object}   [options]         An options object.
+ * @param   {Boolean}  [options.dryRun]  Flag that specifies that migrations
+ *   should only report changes they would make.
+ *
+ * @return  {Promise<Object[]>}  Promise for the list of migrations, that have
+ *   been run, each with 'version', 'description' and 'changes' properties.
+ */
+module.exports.migrate = function (options) {
+    var self = this;
+    var dryRun = !!(options && options.dryRun);
+    var platformJson = this._platformJson;
+    var currentVersion = platformJson.root.schema_version || 0;
+
+    return MIGRATIONS
+    .filter(function (migration) {
+        return migration.version > currentVersion;
+    })
+    .reduce(function (promise, migration) {
+        return promise.then(function (results) {
+            var changes = migration.run.call(self, dryRun);
+
+            self.events.emit('log', (dryRun ? '[dry run] ' : '') + 'Migration ' + migration.version + ': ' +
+                migration.description + (changes.length === 0 ? ' (no changes)' : ''));
+            changes.forEach(function (change) {
+                self.events.emit('log', '    ' + change);
+            });
+
+            if (!dryRun) {
+                platformJson.root.schema_version = migration.version;
+                platformJson.save();
+            }
+
+            return results.concat({
+                version: migration.version,
+                description: migration.description,
+                changes: changes
+            });
+        });
+    }, Q([]));
+};
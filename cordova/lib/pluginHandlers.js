@@ -21,6 +21,7 @@
 
 var fs = require('fs');
 var path = require('path');
+var crypto = require('crypto');
 var shell = require('shelljs');
 var events = require('cordova-common').events;
 var CordovaError = require('cordova-common').CordovaError;
@@ -36,6 +37,9 @@ var handlers = {
         uninstall:function(obj, plugin, project, options) {
             var dest = path.join(obj.targetDir, path.basename(obj.src));
             deleteJava(project.projectDir, dest);
+        },
+        destination:function(obj, plugin, project, options) {
+            return path.resolve(project.projectDir, obj.targetDir, path.basename(obj.src));
         }
     },
     'lib-file':{
@@ -46,6 +50,9 @@ var handlers = {
         uninstall:function(obj, plugin, project, options) {
             var dest = path.join('libs', path.basename(obj.src));
             removeFile(project.projectDir, dest);
+        },
+        destination:function(obj, plugin, project, options) {
+            return path.resolve(project.projectDir, 'libs', path.basename(obj.src));
         }
     },
     'resource-file':{
@@ -54,6 +61,9 @@ var handlers = {
         },
         uninstall:function(obj, plugin, project, options) {
             removeFile(project.projectDir, path.normalize(obj.target));
+        },
+        destination:function(obj, plugin, project, options) {
+            return path.resolve(project.projectDir, path.normalize(obj.target));
         }
     },
     'framework': {
@@ -62,55 +72,37 @@ var handlers = {
             if (!src) throw new CordovaError('src not specified in <framework> for plugin: ' + plugin.id);
 
             events.emit('verbose', 'Installing Android library: ' + src);
-            var parentDir = obj.parent ? path.resolve(project.projectDir, obj.parent) : project.projectDir;
-            var subDir;
 
             if (obj.custom) {
                 var subRelativeDir = project.getCustomSubprojectRelativeDir(plugin.id, src);
                 copyNewFile(plugin.dir, src, project.projectDir, subRelativeDir, options && options.link);
-                subDir = path.resolve(project.projectDir, subRelativeDir);
-            } else {
-                obj.type = 'sys';
-                subDir = src;
             }
 
-            if (obj.type == 'gradleReference') {
-                project.addGradleReference(parentDir, subDir);
-            } else if (obj.type == 'sys') {
-                project.addSystemLibrary(parentDir, subDir);
-            } else {
-                project.addSubProject(parentDir, subDir);
-            }
+            updateFrameworkReference(obj, plugin, project);
         },
         uninstall:function(obj, plugin, project, options) {
             var src = obj.src;
             if (!src) throw new CordovaError('src not specified in <framework> for plugin: ' + plugin.id);
 
             events.emit('verbose', 'Uninstalling Android library: ' + src);
-            var parentDir = obj.parent ? path.resolve(project.projectDir, obj.parent) : project.projectDir;
-            var subDir;
 
             if (obj.custom) {
                 var subRelativeDir = project.getCustomSubprojectRelativeDir(plugin.id, src);
                 removeFile(project.projectDir, subRelativeDir);
-                subDir = path.resolve(project.projectDir, subRelativeDir);
                 // If it's the last framework in the plugin, remove the parent directory.
-                var parDir = path.dirname(subDir);
+                var parDir = path.dirname(path.resolve(project.projectDir, subRelativeDir));
                 if (fs.readdirSync(parDir).length === 0) {
                     fs.rmdirSync(parDir);
                 }
-            } else {
-                obj.type = 'sys';
-                subDir = src;
             }
 
-            if (obj.type == 'gradleReference') {
-                project.removeGradleReference(parentDir, subDir);
-            } else if (obj.type == 'sys') {
-                project.removeSystemLibrary(parentDir, subDir);
-            } else {
-                project.removeSubProject(parentDir, subDir);
-            }
+            updateFrameworkReference(obj, plugin, project, /*remove=*/true);
+        },
+        destination:function(obj, plugin, project, options) {
+            // Only custom frameworks are copied to project, others are
+            // referenced as system libraries.
+            if (!obj.custom) return null;
+            return path.resolve(project.projectDir, project.getCustomSubprojectRelativeDir(plugin.id, obj.src));
         }
     },
     asset:{
@@ -133,20 +125,16 @@ var handlers = {
             var www = options.usePlatformWww ? project.platformWww : project.www;
             removeFile(www, target);
             removeFileF(path.resolve(www, 'plugins', plugin.id));
+        },
+        destination:function(obj, plugin, project, options) {
+            var www = options && options.usePlatformWww ? project.platformWww : project.www;
+            return path.resolve(www, obj.target);
         }
     },
     'js-module': {
         install: function (obj, plugin, project, options) {
             // Copy the plugin's files into the www directory.
-            var moduleSource = path.resolve(plugin.dir, obj.src);
-            var moduleName = plugin.id + '.' + (obj.name || path.parse(obj.src).name);
-
-            // Read in the file, prepend the cordova.define, and write it back out.
-            var scriptContent = fs.readFileSync(moduleSource, 'utf-8').replace(/^\ufeff/, ''); // Window BOM
-            if (moduleSource.match(/.*\.json$/)) {
-                scriptContent = 'module.exports = ' + scriptContent;
-            }
-            scriptContent = 'cordova.define("' + moduleName + '", function(require, exports, module) {\n' + scriptContent + '\n});\n';
+            var scriptContent = wrapJsModule(obj, plugin);
 
             var www = options.usePlatformWww ? project.platformWww : project.www;
             var moduleDestination = path.resolve(www, 'plugins', plugin.id, obj.src);
@@ -157,6 +145,10 @@ var handlers = {
             var pluginRelativePath = path.join('plugins', plugin.id, obj.src);
             var www = options.usePlatformWww ? project.platformWww : project.www;
             removeFileAndParents(www, pluginRelativePath);
+        },
+        destination: function (obj, plugin, project, options) {
+            var www = options && options.usePlatformWww ? project.platformWww : project.www;
+            return path.resolve(www, 'plugins', plugin.id, obj.src);
         }
     }
 };
@@ -177,6 +169,121 @@ module.exports.getUninstaller = function(type) {
     events.emit('verbose', '<' + type + '> is not supported for android plugins');
 };
 
+/**
+ * Lists plugin items, processed by installers and uninstallers, in the order
+ *   they are installed: source files and frameworks, then assets and
+ *   js-modules.
+ *
+ * @param   {PluginInfo}  plugin    A plugin to list items of.
+ * @param   {String}      platform  Platform name.
+ *
+ * @return  {Object[]}              Plugin items.
+ */
+module.exports.getItems = function (plugin, platform) {
+    return plugin.getFilesAndFrameworks(platform)
+        .concat(plugin.getAssets(platform))
+        .concat(plugin.getJsModules(platform));
+};
+
+/**
+ * Gets the location, where specified plugin item is (or would be) installed
+ *   to by its installer.
+ *
+ * @param   {Object}          item     Plugin item, as returned by PluginInfo
+ *   getters, e.g. getFilesAndFrameworks or getAssets.
+ * @param   {PluginInfo}      plugin   A plugin that owns the item.
+ * @param   {AndroidProject}  project  A project, plugin is installed to.
+ * @param   {Object}          options  Install options.
+ *
+ * @return  {String}                   Absolute path to installed file or
+ *   directory or null if item doesn't install any files into project.
+ */
+module.exports.getDestination = function (item, plugin, project, options) {
+    var handler = handlers[item.itemType];
+    return handler && handler.destination ?
+        handler.destination(item, plugin, project, options) :
+        null;
+};
+
+/**
+ * Describes the changes plugin item's installer (or uninstaller) would make,
+ *   without touching the disk. References to frameworks are added to (removed
+ *   from) passed project instance, so caller could inspect them, but they are
+ *   not written.
+ *
+ * @param   {Object}          item       Plugin item, as returned by PluginInfo
+ *   getters.
+ * @param   {PluginInfo}      plugin     A plugin that owns the item.
+ * @param   {AndroidProject}  project    A project to plan changes for.
+ * @param   {Object}          options    Install/uninstall options.
+ * @param   {Boolean}         uninstall  Whether to plan uninstallation.
+ *
+ * @return  {Object[]}                   A list of file operations, where each
+ *   operation has 'action' ('copy', 'link', 'write' or 'delete'), 'type',
+ *   'src' and 'dest' properties.
+ */
+module.exports.getPlan = function (item, plugin, project, options, uninstall) {
+    if (!handlers[item.itemType]) {
+        events.emit('verbose', '<' + item.itemType + '> is not supported for android plugins');
+        return [];
+    }
+
+    if (item.itemType === 'framework') {
+        if (!item.src) throw new CordovaError('src not specified in <framework> for plugin: ' + plugin.id);
+        updateFrameworkReference(item, plugin, project, uninstall);
+    }
+
+    var dest = module.exports.getDestination(item, plugin, project, options);
+    if (!dest) return [];
+
+    var action = 'copy';
+    if (uninstall) {
+        action = 'delete';
+    } else if (item.itemType === 'js-module') {
+        action = 'write';
+    } else if (options && options.link && item.itemType !== 'asset') {
+        action = 'link';
+    }
+
+    return [{
+        action: action,
+        type: item.itemType,
+        src: path.resolve(plugin.dir, item.src),
+        dest: dest
+    }];
+};
+
+/**
+ * Compares the installed copy of plugin item with item's source.
+ *
+ * @param   {Object}      item         Plugin item, as returned by PluginInfo
+ *   getters.
+ * @param   {PluginInfo}  plugin       A plugin that owns the item.
+ * @param   {String}      destination  Location of the installed copy, see
+ *   getDestination.
+ *
+ * @return  {String}  'ok' if installed copy matches the source, 'missing' if
+ *   it doesn't exist, 'modified' if its content differs from the source or
+ *   'unknown' if item's source is not available.
+ */
+module.exports.getInstallStatus = function (item, plugin, destination) {
+    var actual = hashTree(destination);
+    if (!actual) return 'missing';
+
+    if (!fs.existsSync(path.resolve(plugin.dir, item.src))) return 'unknown';
+
+    var expected = item.itemType === 'js-module' ?
+        { '': hash(wrapJsModule(item, plugin)) } :
+        hashTree(path.resolve(plugin.dir, item.src));
+    if (!expected) return 'unknown';
+
+    var isModified = Object.keys(expected).some(function (file) {
+        return expected[file] !== actual[file];
+    });
+
+    return isModified ? 'modified' : 'ok';
+};
+
 function copyFile (plugin_dir, src, project_dir, dest, link) {
     src = path.resolve(plugin_dir, src);
     if (!fs.existsSync(src)) throw new CordovaError('"' + src + '" not found!');
@@ -225,6 +332,61 @@ function removeFileF (file) {
     shell.rm('-Rf', file);
 }
 
+// Reads in the js-module file and wraps it into cordova.define
+function wrapJsModule (obj, plugin) {
+    var moduleSource = path.resolve(plugin.dir, obj.src);
+    var moduleName = plugin.id + '.' + (obj.name || path.parse(obj.src).name);
+
+    var scriptContent = fs.readFileSync(moduleSource, 'utf-8').replace(/^\ufeff/, ''); // Window BOM
+    if (moduleSource.match(/.*\.json$/)) {
+        scriptContent = 'module.exports = ' + scriptContent;
+    }
+    return 'cordova.define("' + moduleName + '", function(require, exports, module) {\n' + scriptContent + '\n});\n';
+}
+
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Computes hashes for a file or for every file in a directory, keyed by
+// path relative to given one. Returns null if target doesn't exist.
+function hashTree(target) {
+    if (!fs.existsSync(target)) return null;
+
+    if (!fs.statSync(target).isDirectory()) {
+        return { '': hash(fs.readFileSync(target)) };
+    }
+
+    var hashes = {};
+    fs.readdirSync(target).forEach(function (entry) {
+        var entryHashes = hashTree(path.join(target, entry)) || {};
+        Object.keys(entryHashes).forEach(function (file) {
+            hashes[path.join(entry, file)] = entryHashes[file];
+        });
+    });
+    return hashes;
+}
+
+// Adds or removes a reference to <framework> in project.properties
+function updateFrameworkReference (obj, plugin, project, remove) {
+    var parentDir = obj.parent ? path.resolve(project.projectDir, obj.parent) : project.projectDir;
+    var subDir = obj.src;
+    var type = 'sys';
+
+    if (obj.custom) {
+        subDir = path.resolve(project.projectDir, project.getCustomSubprojectRelativeDir(plugin.id, obj.src));
+        type = obj.type;
+    }
+
+    if (type == 'gradleReference') {
+        project[remove ? 'removeGradleReference' : 'addGradleReference'](parentDir, subDir);
+    } else if (type == 'sys') {
+        project[remove ? 'removeSystemLibrary' : 'addSystemLibrary'](parentDir, subDir);
+    } else {
+        project[remove ? 'removeSubProject' : 'addSubProject'](parentDir, subDir);
+    }
+}
+
 // Sometimes we want to remove some java, and prune any unnecessary empty directories
 function deleteJava (project_dir, destFile) {
     removeFileAndParents(project_dir, destFile, 'src');
@@ -0,0 +1,167 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var path = require('path');
+var mungeUtil = require('cordova-common').mungeUtil;
+var AndroidProject = require('./AndroidProject');
+var pluginHandlers = require('./pluginHandlers');
+
+/**
+ * Builds a plan of plugin installation, i.e. the full list of changes that
+ *   addPlugin would make to platform, without touching the disk. Should be
+ *   called with PlatformApi instance as a context.
+ *
+ * @param   {PluginInfo}  plugin   A plugin to plan installation for.
+ * @param   {Object}      options  Install options, see PlatformApi.addPlugin.
+ *
+ * @return  {Object}               Installation plan. See 'createPlan' for the
+ *   structure.
+ */
+module.exports.add = function (plugin, options) {
+    return createPlan.call(this, 'add', plugin, options);
+};
+
+/**
+ * Builds a plan of plugin removal. Should be called with PlatformApi instance
+ *   as a context.
+ *
+ * @param   {PluginInfo}  plugin   A plugin to plan removal for.
+ * @param   {Object}      options  Uninstall options, see
+ *   PlatformApi.removePlugin.
+ *
+ * @return  {Object}               Removal plan. See 'createPlan' for the
+ *   structure.
+ */
+module.exports.remove = function (plugin, options) {
+    return createPlan.call(this, 'remove', plugin, options);
+};
+
+/**
+ * Creates a plan for specified action. The plan has the following structure
+ *   (all paths are relative to platform root):
+ *
+ *     {
+ *         action: 'add',
+ *         plugin: { id: 'cordova-plugin-device', version: '1.1.0' },
+ *         files: [{ action: 'copy', type: 'source-file',
+ *             src: '/path/to/plugin/src/android/Device.java',
+ *             target: 'src/org/apache/cordova/device/Device.java' }],
+ *         projectProperties: [{ file: 'project.properties',
+ *             key: 'cordova.system.library.1', oldValue: undefined,
+ *             newValue: 'com.android.support:support-v4:+' }],
+ *         configMunges: [{ file: 'res/xml/config.xml', parent: '/*',
+ *             xml: '<feature name="Device">...</feature>' }],
+ *         modules: { file: 'assets/www/cordova_plugins.js',
+ *             add: [{ id: 'cordova-plugin-device.device', ... }], remove: [] }
+ *     }
+ */
+function createPlan(action, plugin, options) {
+    var uninstall = action === 'remove';
+    var root = this.root;
+    var platformJson = this._platformJson.root;
+
+    options = options || {};
+
+    // Use a separate project instance instead of cached one, so the planned
+    // changes never get written by subsequent plugin operations.
+    var project = new AndroidProject(root);
+
+    var files = [];
+    pluginHandlers.getItems(plugin, this.platform)
+    .forEach(function (item) {
+        pluginHandlers.getPlan(item, plugin, project, options, uninstall)
+        .forEach(function (operation) {
+            files.push({
+                action: operation.action,
+                type: operation.type,
+                src: operation.src,
+                target: relativePath(root, operation.dest)
+            });
+        });
+    });
+
+    var projectProperties = project.getPendingChanges()
+    .map(function (change) {
+        change.file = relativePath(root, change.file);
+        return change;
+    });
+
+    var variables;
+    if (uninstall) {
+        variables = (platformJson.installed_plugins || {})[plugin.id] ||
+            (platformJson.dependent_plugins || {})[plugin.id] || {};
+    } else {
+        variables = JSON.parse(JSON.stringify(options.variables || {}));
+        variables.PACKAGE_NAME = variables.PACKAGE_NAME || project.getPackageName();
+    }
+
+    // Only the changes, that are not already applied by other plugins (or are
+    // not required by other plugins in case of removal) are actually applied.
+    var pluginMunge = this._munger.generate_plugin_config_munge(plugin, variables);
+    var globalMunge = JSON.parse(JSON.stringify(platformJson.config_munge || { files: {} }));
+    var munge = uninstall ?
+        mungeUtil.decrement_munge(globalMunge, pluginMunge) :
+        mungeUtil.increment_munge(globalMunge, pluginMunge);
+
+    var configMunges = [];
+    Object.keys(munge.files).forEach(function (file) {
+        var parents = munge.files[file].parents;
+        Object.keys(parents).forEach(function (parent) {
+            parents[parent].forEach(function (change) {
+                configMunges.push({ file: file, parent: parent, xml: change.xml });
+            });
+        });
+    });
+
+    var installedModules = platformJson.modules || [];
+    var installedPaths = installedModules.map(function (installedModule) {
+        return installedModule.file;
+    });
+    var pluginModules = this._getModuleEntries(plugin);
+    var pluginPaths = pluginModules.map(function (pluginModule) {
+        return pluginModule.file;
+    });
+
+    var modules = {
+        file: relativePath(root, path.join(options.usePlatformWww ?
+            this.locations.platformWww : this.locations.www, 'cordova_plugins.js')),
+        add: uninstall ? [] : pluginModules.filter(function (pluginModule) {
+            return installedPaths.indexOf(pluginModule.file) === -1;
+        }),
+        remove: !uninstall ? [] : installedModules.filter(function (installedModule) {
+            return pluginPaths.indexOf(installedModule.file) !== -1;
+        })
+    };
+
+    this.events.emit('verbose', 'Planned ' + files.length + ' file operation(s) for ' +
+        (uninstall ? 'removal' : 'installation') + ' of plugin "' + plugin.id + '"');
+
+    return {
+        action: action,
+        plugin: { id: plugin.id, version: plugin.version },
+        files: files,
+        projectProperties: projectProperties,
+        configMunges: configMunges,
+        modules: modules
+    };
+}
+
+function relativePath(root, file) {
+    return path.relative(root, file).replace(/\\/g, '/');
+}
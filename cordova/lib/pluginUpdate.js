@@ -0,0 +1,173 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var path = require('path');
+var mungeUtil = require('cordova-common').mungeUtil;
+var pluginHandlers = require('./pluginHandlers');
+
+/**
+ * Compares items (source files, frameworks, assets and js-modules) of two
+ *   versions of the same plugin. Items are matched by their type and location
+ *   in project, and matched items are considered changed if the copy,
+ *   installed to project, differs from the new version's source. Should be
+ *   called with PlatformApi instance as a context.
+ *
+ * @param   {PluginInfo}      oldPlugin  Currently installed plugin version.
+ * @param   {PluginInfo}      newPlugin  Plugin version to update to.
+ * @param   {AndroidProject}  project    A project instance, used by handlers.
+ * @param   {Object}          options    Update options, see
+ *   PlatformApi.updatePlugin.
+ *
+ * @return  {Object}  The difference between plugin versions:
+ *
+ *     {
+ *         added: [newItem],
+ *         removed: [oldItem],
+ *         changed: [{ from: oldItem, to: newItem }],
+ *         unchanged: [newItem]
+ *     }
+ */
+module.exports.diff = function (oldPlugin, newPlugin, project, options) {
+    var platform = this.platform;
+    var diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+    var oldItems = {};
+    pluginHandlers.getItems(oldPlugin, platform).forEach(function (item) {
+        oldItems[getItemKey(item, oldPlugin, project, options)] = item;
+    });
+
+    var newItems = {};
+    pluginHandlers.getItems(newPlugin, platform).forEach(function (item) {
+        var key = getItemKey(item, newPlugin, project, options);
+        newItems[key] = item;
+
+        var oldItem = oldItems[key];
+        if (!oldItem) {
+            diff.added.push(item);
+            return;
+        }
+
+        var destination = pluginHandlers.getDestination(item, newPlugin, project, options);
+        if (destination && pluginHandlers.getInstallStatus(item, newPlugin, destination) !== 'ok') {
+            diff.changed.push({ from: oldItem, to: item });
+        } else {
+            diff.unchanged.push(item);
+        }
+    });
+
+    Object.keys(oldItems).forEach(function (key) {
+        if (!newItems[key]) {
+            diff.removed.push(oldItems[key]);
+        }
+    });
+
+    // Asset uninstaller wipes the whole 'www/plugins/<plugin id>' directory, so
+    // if any asset is going to be uninstalled, items, installed to that
+    // directory, need to be installed again.
+    var wipesPluginDir = diff.removed.concat(diff.changed.map(function (change) { return change.from; }))
+    .some(function (item) {
+        return item.itemType === 'asset';
+    });
+
+    if (wipesPluginDir) {
+        var www = options.usePlatformWww ? project.platformWww : project.www;
+        var pluginDir = path.resolve(www, 'plugins', newPlugin.id) + path.sep;
+        diff.unchanged = diff.unchanged.filter(function (item) {
+            var destination = pluginHandlers.getDestination(item, newPlugin, project, options);
+            if (destination && destination.indexOf(pluginDir) === 0) {
+                diff.added.push(item);
+                return false;
+            }
+            return true;
+        });
+    }
+
+    return diff;
+};
+
+/**
+ * Replaces old plugin version's config munge, js-modules and metadata with the
+ *   new version's ones, and saves all changed config files and platform json
+ *   at once. Only config changes, that differ between versions, are applied to
+ *   config files. Should be called with PlatformApi instance as a context.
+ *
+ * @param   {PluginInfo}  oldPlugin   Currently installed plugin version.
+ * @param   {PluginInfo}  newPlugin   Plugin version to update to.
+ * @param   {Object}      variables   Plugin variables for the new version.
+ * @param   {Boolean}     isTopLevel  Whether the plugin is installed as
+ *   top-level one or as a dependency.
+ * @param   {Object}      options     Update options, see
+ *   PlatformApi.updatePlugin.
+ */
+module.exports.updateMetadata = function (oldPlugin, newPlugin, variables, isTopLevel, options) {
+    var munger = this._munger;
+    var platformJson = this._platformJson;
+    var platformConfig = platformJson.root;
+
+    var oldVariables = (isTopLevel ? platformConfig.installed_plugins : platformConfig.dependent_plugins)[oldPlugin.id];
+    var oldMunge = munger.generate_plugin_config_munge(oldPlugin, oldVariables);
+    var newMunge = munger.generate_plugin_config_munge(newPlugin, variables);
+
+    // Incrementing first makes changes, common for both versions, appear in
+    // neither of diffs, so they are left untouched in config files.
+    platformConfig.config_munge = platformConfig.config_munge || { files: {} };
+    var added = mungeUtil.increment_munge(platformConfig.config_munge, newMunge);
+    var removed = mungeUtil.decrement_munge(platformConfig.config_munge, oldMunge);
+
+    Object.keys(removed.files).forEach(function (file) {
+        munger.apply_file_munge(file, removed.files[file], /*remove=*/true);
+    });
+    Object.keys(added.files).forEach(function (file) {
+        munger.apply_file_munge(file, added.files[file]);
+    });
+
+    platformJson.addPlugin(newPlugin.id, variables, isTopLevel);
+
+    var oldModulePaths = this._getModuleEntries(oldPlugin)
+    .map(function (oldModule) {
+        return oldModule.file;
+    });
+
+    platformConfig.modules = (platformConfig.modules || [])
+    .filter(function (installedModule) {
+        return oldModulePaths.indexOf(installedModule.file) === -1;
+    })
+    .concat(this._getModuleEntries(newPlugin));
+
+    platformConfig.plugin_metadata = platformConfig.plugin_metadata || {};
+    platformConfig.plugin_metadata[newPlugin.id] = newPlugin.version;
+
+    this._writePluginModules(options.usePlatformWww ? this.locations.platformWww : this.locations.www, options);
+
+    // Saves both config files and platform json
+    munger.save_all();
+};
+
+// Identifies item by its type and location in project. System libraries are not
+// copied to project, so they are identified by their attributes instead.
+function getItemKey(item, plugin, project, options) {
+    var destination = pluginHandlers.getDestination(item, plugin, project, options);
+    var key = [item.itemType, destination ? path.relative(project.projectDir, destination) : item.src];
+
+    if (item.itemType === 'framework') {
+        key.push(item.type || '', item.parent || '');
+    }
+
+    return key.join('|');
+}
@@ -175,9 +175,13 @@ function updateProjectAccordingTo(platformConfig, locations) {
     }
 }
 
+// Also used to apply build flavors, see lib/flavors
+module.exports.updateProjectAccordingTo = updateProjectAccordingTo;
+
 // Consturct the default value for versionCode as
 // PATCH + MINOR * 100 + MAJOR * 10000
 // see http://developer.android.com/tools/publishing/versioning.html
+module.exports.default_versionCode = default_versionCode;
 function default_versionCode(version) {
     var nums = version.split('-')[0].split('.');
     var versionCode = 0;
@@ -34,10 +34,15 @@ var path  = require('path'),
  *
  * @param   {Object}  runOptions  various run/build options. See Api.js build/run
  *   methods for reference.
+ * @param   {Cancellation}  [cancellation]  Cancellation, which stops the
+ *   build.
  *
- * @return  {Promise}
+ * @return  {Promise<Object>}  Promise, resolved with 'target' (device or
+ *   emulator id), 'isEmulator' and 'artifacts' (deployed build's packages)
+ *   properties. Emits 'progress' events for 'target' and 'deploy' phases in
+ *   addition to build ones.
  */
- module.exports.run = function(runOptions) {
+ module.exports.run = function(runOptions, cancellation) {
 
     var self = this;
 
@@ -45,6 +50,11 @@ var path  = require('path'),
         runOptions.emulator ? '--emulator' :
         runOptions.target;
 
+    function emitProgress(phase, percentage, target) {
+        self.events.emit('progress', { phase: phase, percentage: percentage, target: target || null });
+    }
+
+    emitProgress('target', 0);
     return Q()
     .then(function() {
         if (!install_target) {
@@ -99,19 +109,32 @@ var path  = require('path'),
             });
         });
     }).then(function(resolvedTarget) {
+        emitProgress('target', 100, resolvedTarget.target);
         // Better just call self.build, but we're doing some processing of
         // build results (according to platformApi spec) so they are in different
         // format than emulator.install expects.
         // TODO: Update emulator/device.install to handle this change
-        return build.run.call(self, runOptions, resolvedTarget)
+        return build.run.call(self, runOptions, resolvedTarget, cancellation)
         .then(function(buildResults) {
-            if (resolvedTarget.isEmulator) {
-                return emulator.wait_for_boot(resolvedTarget.target)
-                .then(function () {
-                    return emulator.install(resolvedTarget, buildResults);
-                });
-            }
-            return device.install(resolvedTarget, buildResults);
+            return Q().then(function() {
+                if (resolvedTarget.isEmulator) {
+                    return emulator.wait_for_boot(resolvedTarget.target)
+                    .then(function () {
+                        emitProgress('deploy', 0, resolvedTarget.target);
+                        return emulator.install(resolvedTarget, buildResults);
+                    });
+                }
+                emitProgress('deploy', 0, resolvedTarget.target);
+                return device.install(resolvedTarget, buildResults);
+            })
+            .then(function() {
+                emitProgress('deploy', 100, resolvedTarget.target);
+                return {
+                    target: resolvedTarget.target,
+                    isEmulator: resolvedTarget.isEmulator,
+                    artifacts: buildResults.artifacts
+                };
+            });
         });
     });
 };
@@ -122,9 +145,14 @@ module.exports.help = function() {
     console.log('    --debug : Builds project in debug mode');
     console.log('    --release : Builds project in release mode');
     console.log('    --nobuild : Runs the currently built project without recompiling');
+    console.log('    --flavor=<name> : Builds and runs specified flavor from build.json (first declared one by default)');
+    console.log('    --force : Builds even if build inputs have not changed since the last build');
+    console.log('    --buildTimeout=<seconds> : Cancels the build if it doesn\'t complete in time');
     console.log('Deploy options :');
     console.log('    --device : Will deploy the built project to a device');
     console.log('    --emulator : Will deploy the built project to an emulator if one exists');
     console.log('    --target=<target_id> : Installs to the target with the specified id.');
+    console.log('Output options :');
+    console.log('    --json : Writes events and the final result as newline-delimited JSON');
     process.exit(0);
 };
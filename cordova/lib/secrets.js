@@ -0,0 +1,61 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var CordovaError = require('cordova-common').CordovaError;
+
+/**
+ * Resolves a secret reference, so that passwords don't have to be stored in
+ *   build.json or passed on command line in plain text. Supported references
+ *   are:
+ *
+ *     env:VAR       - value of VAR environment variable
+ *     file:/path    - contents of file, with trailing newline removed
+ *
+ *   Any other value is returned as is.
+ *
+ * @param   {String}  value      Secret value or reference.
+ * @param   {String}  [baseDir]  Directory to resolve relative 'file:' paths
+ *   against. Defaults to current working directory.
+ *
+ * @return  {String}             Resolved secret.
+ */
+module.exports.resolve = function (value, baseDir) {
+    if (typeof value !== 'string') return value;
+
+    var match = /^env:(.+)$/.exec(value);
+    if (match) {
+        if (process.env[match[1]] === undefined) {
+            throw new CordovaError('Environment variable ' + match[1] + ', referenced by "' + value + '", is not set');
+        }
+        return process.env[match[1]];
+    }
+
+    match = /^file:(.+)$/.exec(value);
+    if (match) {
+        var file = path.resolve(baseDir || process.cwd(), match[1].replace(/^~/, process.env.HOME));
+        if (!fs.existsSync(file)) {
+            throw new CordovaError('File ' + file + ', referenced by "' + value + '", does not exist');
+        }
+        return fs.readFileSync(file, 'utf-8').replace(/\r?\n$/, '');
+    }
+
+    return value;
+};
@@ -0,0 +1,266 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var path = require('path');
+var events = require('cordova-common').events;
+var spawn = require('cordova-common').superspawn.spawn;
+var CordovaError = require('cordova-common').CordovaError;
+var abi = require('./abi');
+
+// The greatest versionCode Google Play accepts
+var MAX_VERSION_CODE = 2100000000;
+
+// 'timestamp' strategy counts minutes since this date to keep codes small
+var TIMESTAMP_EPOCH = Date.UTC(2016, 0, 1);
+
+// Offsets, build.gradle adds to versionCode of ABI-specific APKs. Universal
+// APK, built along with them, has no offset.
+var ABI_OFFSETS = {
+    'armeabi-v7a': 2,
+    'x86': 4
+};
+
+/**
+ * Strategies of versionCode computation. Each strategy is called with
+ *   PlatformApi instance as a context and returns a promise for versionCode
+ *   to pass to build.gradle, or for null to let build.gradle derive it from
+ *   AndroidManifest. Explicit codes are multiplied by 10 to leave the last
+ *   digit for ABI offsets, just like build.gradle does with manifest's one.
+ */
+var STRATEGIES = {
+    // MAJOR*10000 + MINOR*100 + PATCH, written to AndroidManifest by prepare
+    // (see prepare.default_versionCode), with a digit for minSdkVersion
+    // appended by build.gradle.
+    semver: function () {
+        return Q(null);
+    },
+    // Minutes since 2016, so every build gets a greater code
+    timestamp: function () {
+        return Q(Math.floor((Date.now() - TIMESTAMP_EPOCH) / 60000) * 10);
+    },
+    // Number of commits in project's git repository
+    gitCount: function () {
+        return spawn('git', ['rev-list', '--count', 'HEAD'], { cwd: this.root })
+        .then(function (output) {
+            var count = parseInt(output, 10);
+            if (isNaN(count)) {
+                throw new CordovaError('Unexpected output of "git rev-list --count HEAD": ' + output);
+            }
+            return count * 10;
+        }, function (err) {
+            throw new CordovaError('Failed to count git commits for versionCode: ' + err.message);
+        });
+    },
+    // Manifest's versionCode with build.gradle's per-ABI offsets, which are
+    // only added when building separate APKs for each ABI.
+    abi: function (opts) {
+        opts.multipleApks = true;
+        opts.extraArgs.push('-PcdvBuildMultipleApks=true');
+        return Q(null);
+    }
+};
+
+module.exports.MAX_VERSION_CODE = MAX_VERSION_CODE;
+module.exports.STRATEGIES = Object.keys(STRATEGIES);
+
+/**
+ * Gets the offset, build.gradle adds to versionCode of APK for given ABI.
+ *
+ * @param   {String}  abi  ABI name, or 'universal'.
+ *
+ * @return  {Number}       Offset, 0 for universal APKs.
+ */
+module.exports.getAbiOffset = function (abi) {
+    return ABI_OFFSETS[abi] || 0;
+};
+
+/**
+ * Computes versionCode of APK the same way build.gradle does: derives it from
+ *   AndroidManifest's one, unless it is overridden with --versionCode or
+ *   computed by versionCode strategy.
+ *
+ * @param   {Object}  manifest  AndroidManifest values ('versionCode' and
+ *   'minSdkVersion') at the moment of build.
+ * @param   {Object}  opts      Parsed build options.
+ * @param   {String}  apkAbi    ABI of APK, or 'universal'.
+ *
+ * @return  {Number}            versionCode of APK.
+ */
+module.exports.compute = function (manifest, opts, apkAbi) {
+    if (opts.buildMethod !== 'gradle') return Number(manifest.versionCode);
+
+    var versionCode = opts.versionCode ? Number(opts.versionCode) : Number(manifest.versionCode) * 10;
+    // Architecture-specific APKs are only produced with cdvBuildMultipleApks
+    if (apkAbi !== abi.UNIVERSAL || opts.multipleApks) {
+        return versionCode + module.exports.getAbiOffset(apkAbi);
+    }
+    if (opts.versionCode) return versionCode;
+
+    var minSdkVersion = Number(opts.minSdkVersion || manifest.minSdkVersion);
+    return versionCode + (minSdkVersion >= 20 ? 9 : minSdkVersion >= 14 ? 8 : 0);
+};
+
+/**
+ * Lists packages, build.gradle is going to produce, along with their
+ *   versionCodes, so that they could be validated before the build.
+ *
+ * @param   {Object}  manifest  AndroidManifest values, see 'compute'.
+ * @param   {Object}  opts      Parsed build options.
+ * @param   {String}  [flavor]  Name of flavor being built.
+ *
+ * @return  {Object[]}          Packages with 'flavor', 'abi', 'buildType' and
+ *   'versionCode' properties.
+ */
+module.exports.getExpected = function (manifest, opts, flavor) {
+    var abis = [abi.UNIVERSAL];
+    if (opts.buildMethod === 'gradle' && opts.multipleApks) {
+        // Only the APK for given architecture is built, if it is specified
+        abis = Object.keys(ABI_OFFSETS).filter(function (name) {
+            return !opts.arch || abi.getBuildArch([name]) === opts.arch;
+        });
+        if (!opts.arch) abis.push(abi.UNIVERSAL);
+    }
+
+    return abis.map(function (apkAbi) {
+        return {
+            flavor: flavor || undefined,
+            abi: apkAbi,
+            buildType: opts.buildType,
+            versionCode: module.exports.compute(manifest, opts, apkAbi)
+        };
+    });
+};
+
+/**
+ * Gets build options for flavor's build. Flavor's versionCodeOffset is added
+ *   to app's versionCode by lib/flavors, but build.gradle ignores manifest's
+ *   versionCode if it is passed explicitly (by --versionCode or a strategy),
+ *   so then the offset is added to the explicit one. The offset is multiplied
+ *   by 10, just like build.gradle does with manifest's versionCode.
+ *
+ * @param   {Object}  opts    Parsed build options.
+ * @param   {Flavor}  flavor  Flavor being built (see lib/flavors).
+ *
+ * @return  {Object}          Options to build flavor with: a copy of 'opts' or
+ *   'opts' themselves, if there is nothing to change.
+ */
+module.exports.forFlavor = function (opts, flavor) {
+    if (!flavor || !flavor.versionCodeOffset || !opts.versionCode) return opts;
+
+    var versionCode = Number(opts.versionCode) + flavor.versionCodeOffset * 10;
+    var flavorOpts = {};
+    Object.keys(opts).forEach(function (key) {
+        flavorOpts[key] = opts[key];
+    });
+    flavorOpts.versionCode = String(versionCode);
+    flavorOpts.extraArgs = opts.extraArgs.filter(function (arg) {
+        return arg.indexOf('-PcdvVersionCode=') !== 0;
+    }).concat('-PcdvVersionCode=' + versionCode);
+    return flavorOpts;
+};
+
+/**
+ * Applies versionCode strategy to build options: sets 'versionCode' and
+ *   passes it to build.gradle, if strategy computes it explicitly. Explicit
+ *   '--versionCode' argument takes precedence over strategy. Should be called
+ *   with PlatformApi instance as a context.
+ *
+ * @param   {Object}  opts  Parsed build options with 'versionCodeStrategy'.
+ *
+ * @return  {Promise}       Promise resolved once options are updated.
+ */
+module.exports.apply = function (opts) {
+    var strategy = opts.versionCodeStrategy;
+    if (!strategy) return Q();
+
+    if (!STRATEGIES[strategy]) {
+        return Q.reject(new CordovaError('Unknown versionCode strategy "' + strategy + '", expected one of: ' +
+            Object.keys(STRATEGIES).join(', ')));
+    }
+
+    if (opts.versionCode) {
+        events.emit('verbose', 'versionCode is specified explicitly, ignoring "' + strategy + '" strategy.');
+        return Q();
+    }
+
+    return STRATEGIES[strategy].call(this, opts)
+    .then(function (versionCode) {
+        if (versionCode === null) return;
+
+        if (versionCode > MAX_VERSION_CODE) {
+            throw new CordovaError('versionCode ' + versionCode + ', computed by "' + strategy +
+                '" strategy, exceeds the maximum of ' + MAX_VERSION_CODE + ' allowed by Google Play.');
+        }
+        events.emit('verbose', 'Using versionCode ' + versionCode + ', computed by "' + strategy + '" strategy.');
+        opts.versionCode = String(versionCode);
+        opts.extraArgs.push('-PcdvVersionCode=' + versionCode);
+    });
+};
+
+/**
+ * Checks that versionCodes of packages fit in Google Play's limit and, if
+ *   versionCode strategy is configured, don't decrease since the last build of
+ *   the same build type, flavor and ABI, otherwise updates could not be
+ *   installed over previous packages. Decreased versionCodes of debug builds
+ *   are only warned about, since these are usually reinstalled anyway.
+ *
+ * @param   {Object[]}  artifacts  Packages to be built (see 'getExpected') or
+ *   built ones (BuildArtifact, see lib/buildReport).
+ * @param   {Object}    previous   The last build report, if any.
+ * @param   {Object}    opts       Parsed build options.
+ *
+ * @throws  {CordovaError}         If any of checks fails.
+ */
+module.exports.validate = function (artifacts, previous, opts) {
+    var comparable = opts.versionCodeStrategy && previous && previous.buildType === opts.buildType;
+
+    artifacts.forEach(function (artifact) {
+        var versionCode = artifact.versionCode;
+        var apkName = artifact.path ? path.basename(artifact.path) :
+            (artifact.flavor ? artifact.flavor + ' ' : '') + artifact.abi + ' APK';
+        if (typeof versionCode !== 'number' || isNaN(versionCode)) return;
+
+        if (versionCode > MAX_VERSION_CODE) {
+            throw new CordovaError('versionCode ' + versionCode + ' of ' + apkName + ' exceeds the maximum of ' +
+                MAX_VERSION_CODE + ' allowed by Google Play.');
+        }
+
+        var last = comparable && previous.artifacts.filter(function (candidate) {
+            return candidate.flavor === artifact.flavor && candidate.abi === artifact.abi &&
+                typeof candidate.versionCode === 'number';
+        })[0];
+        if (!last) return;
+
+        if (versionCode < last.versionCode) {
+            var message = 'versionCode ' + versionCode + ' of ' + apkName + ' is less than ' +
+                last.versionCode + ' of the last build, so the package could not be installed as an update. ' +
+                'Increase app\'s version or use another --versionCodeStrategy.';
+            if (artifact.buildType !== 'release') {
+                events.emit('warn', message);
+                return;
+            }
+            throw new CordovaError(message);
+        }
+        if (versionCode === last.versionCode && artifact.buildType === 'release') {
+            events.emit('warn', 'versionCode ' + versionCode + ' of ' + apkName + ' is the same as of the last ' +
+                'build, Google Play will not accept it as an update.');
+        }
+    });
+};
@@ -0,0 +1 @@
+package org.test; public class Test {}
@@ -0,0 +1,110 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var PluginInfo = require('cordova-common').PluginInfo;
+var testProject = require('./util/project');
+
+describe('Api', function () {
+    var project;
+    var plugin;
+
+    beforeEach(function () {
+        project = testProject.create();
+        plugin = new PluginInfo(path.join(project.plugins, 'test-plugin'));
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    function exists(file) {
+        return fs.existsSync(path.join(project.root, file));
+    }
+
+    function readConfig() {
+        return fs.readFileSync(path.join(project.root, 'res', 'xml', 'config.xml'), 'utf8');
+    }
+
+    describe('interrupted plugin operations', function () {
+        it('should resume interrupted installation', function (done) {
+            var api = testProject.getApi(project);
+            spyOn(api, '_addModulesInfo').and.throwError('crash');
+
+            api.addPlugin(plugin, { variables: { API_KEY: 'secret' } })
+            .then(function () {
+                fail('addPlugin should have failed');
+            }, function (err) {
+                expect(err.message).toBe('crash');
+                expect(exists('plugin-journal.json')).toBe(true);
+                return testProject.getApi(project).resumeInterruptedOperation();
+            })
+            .then(function () {
+                expect(exists('plugin-journal.json')).toBe(false);
+                expect(exists('src/org/test/Test.java')).toBe(true);
+                expect(exists('assets/www/plugins/test-plugin/www/test.js')).toBe(true);
+                expect(readConfig()).toContain('value="secret"');
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should roll back interrupted installation', function (done) {
+            var api = testProject.getApi(project);
+            spyOn(api, '_addModulesInfo').and.throwError('crash');
+
+            api.addPlugin(plugin, { variables: { API_KEY: 'secret' } })
+            .catch(function () {
+                return testProject.getApi(project).rollbackInterruptedOperation();
+            })
+            .then(function () {
+                expect(exists('plugin-journal.json')).toBe(false);
+                expect(exists('src/org/test/Test.java')).toBe(false);
+                expect(exists('libs/foo.jar')).toBe(false);
+                expect(readConfig()).not.toContain('TestApiKey');
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should restore config changes with plugin variables, when rolling back interrupted removal', function (done) {
+            testProject.getApi(project).addPlugin(plugin, { variables: { API_KEY: 'secret' } })
+            .then(function () {
+                var api = testProject.getApi(project);
+                spyOn(api, '_removeModulesInfo').and.throwError('crash');
+                return api.removePlugin(plugin, {});
+            })
+            .then(function () {
+                fail('removePlugin should have failed');
+            }, function () {
+                // Config changes have been removed before the crash
+                expect(readConfig()).not.toContain('TestApiKey');
+                return testProject.getApi(project).rollbackInterruptedOperation();
+            })
+            .then(function () {
+                expect(exists('plugin-journal.json')).toBe(false);
+                expect(exists('src/org/test/Test.java')).toBe(true);
+                expect(readConfig()).toContain('<preference name="TestApiKey" value="secret" />');
+            })
+            .catch(fail)
+            .done(done);
+        });
+    });
+});
@@ -0,0 +1,128 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var apk = require('./util/apk');
+var ApkFile = require('../../cordova/lib/ApkFile');
+var inspect = require('../../cordova/lib/inspect');
+
+var MANIFEST = {
+    name: 'manifest',
+    attrib: {
+        'android:versionCode': 100008,
+        'android:versionName': '1.0.8',
+        'package': 'org.apache.cordova.test'
+    },
+    children: [
+        { name: 'uses-sdk', attrib: { 'android:minSdkVersion': 14, 'android:targetSdkVersion': 23 } },
+        { name: 'uses-permission', attrib: { 'android:name': 'android.permission.INTERNET' } },
+        {
+            name: 'application',
+            attrib: { 'android:label': { reference: 0x7f010002 } },
+            children: [
+                { name: 'activity', attrib: { 'android:name': '.MainActivity', 'android:label': { reference: 0x7f010000 } } }
+            ]
+        }
+    ]
+};
+
+describe('ApkFile', function () {
+    var dir;
+    var apkPath;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apk-'));
+        apkPath = path.join(dir, 'android-debug.apk');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', dir);
+    });
+
+    function writeApk(sparse) {
+        apk.writeZip(apkPath, {
+            'AndroidManifest.xml': apk.encodeXml(MANIFEST),
+            'resources.arsc': apk.encodeResources(['Main', null, 'Test'], sparse),
+            'assets/www/index.html': Buffer.from('<html></html>')
+        });
+    }
+
+    it('should list and extract entries', function () {
+        writeApk(false);
+        var file = new ApkFile(apkPath);
+        expect(file.getEntryNames()).toEqual(['AndroidManifest.xml', 'resources.arsc', 'assets/www/index.html']);
+        expect(file.readEntry('assets/www/index.html').toString()).toBe('<html></html>');
+        expect(function () { file.readEntry('classes.dex'); }).toThrowError(/has no classes.dex entry/);
+    });
+
+    it('should decode binary manifest', function () {
+        writeApk(false);
+        var root = new ApkFile(apkPath).getManifest().getroot();
+        expect(root.tag).toBe('manifest');
+        /*jshint -W069 */
+        expect(root.attrib['package']).toBe('org.apache.cordova.test');
+        /*jshint +W069 */
+        expect(root.attrib['android:versionCode']).toBe('100008');
+        expect(root.attrib['android:versionName']).toBe('1.0.8');
+        expect(root.find('application').attrib['android:label']).toBe('@0x7f010002');
+    });
+
+    it('should resolve strings from dense and sparse resource tables', function () {
+        [false, true].forEach(function (sparse) {
+            writeApk(sparse);
+            var file = new ApkFile(apkPath);
+            expect(file.resolveString('@0x7f010000')).toBe('Main');
+            expect(file.resolveString(0x7f010001)).toBe(null);
+            expect(file.resolveString('@0x7f010002')).toBe('Test');
+            expect(file.getResourceStrings()).toEqual(['Main', 'Test']);
+        });
+    });
+
+    it('should reject files, which are not zip archives, and ZIP64 archives', function () {
+        fs.writeFileSync(apkPath, 'not a zip');
+        expect(function () { return new ApkFile(apkPath); }).toThrowError(/is not a valid zip archive/);
+
+        writeApk(false);
+        var data = fs.readFileSync(apkPath);
+        // Insert ZIP64 end of central directory locator before EOCD record
+        var locator = Buffer.alloc(20);
+        locator.writeUInt32LE(0x07064b50, 0);
+        fs.writeFileSync(apkPath, Buffer.concat([data.slice(0, data.length - 22), locator, data.slice(data.length - 22)]));
+        expect(function () { return new ApkFile(apkPath); }).toThrowError(/is a ZIP64 archive/);
+    });
+
+    it('should be read by inspect', function () {
+        writeApk(true);
+        var info = inspect.readApk(apkPath);
+        expect(info).toEqual(jasmine.objectContaining({
+            path: apkPath,
+            packageId: 'org.apache.cordova.test',
+            versionCode: '100008',
+            versionName: '1.0.8',
+            minSdkVersion: '14',
+            targetSdkVersion: '23',
+            appName: 'Test',
+            permissions: ['android.permission.INTERNET'],
+            activities: [{ name: 'org.apache.cordova.test.MainActivity', label: 'Main' }]
+        }));
+    });
+});
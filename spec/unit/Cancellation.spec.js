@@ -0,0 +1,113 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var Q = require('q');
+var fs = require('fs');
+var events = require('cordova-common').events;
+var Cancellation = require('../../cordova/lib/Cancellation');
+
+// Zombies, which are not reaped yet, still accept signals
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+    } catch (err) {
+        return false;
+    }
+    var stat = '/proc/' + pid + '/stat';
+    return !fs.existsSync(stat) || !/^\d+ \(.*\) Z/.test(fs.readFileSync(stat, 'utf-8'));
+}
+
+(process.platform === 'win32' ? xdescribe : describe)('Cancellation', function () {
+    var cancellation;
+
+    beforeEach(function () {
+        cancellation = new Cancellation();
+        spyOn(events, 'emit');
+    });
+
+    afterEach(function () {
+        cancellation.dispose();
+    });
+
+    it('should reject spawn, called after cancellation, without starting the process', function (done) {
+        spyOn(cancellation, 'start').and.callThrough();
+        cancellation.cancel('Build was cancelled by test.');
+
+        cancellation.spawn('sh', ['-c', 'exit 0'])
+        .then(function () {
+            fail('Expected promise to be rejected');
+        }, function (err) {
+            expect(err.message).toBe('Build was cancelled by test.');
+            expect(cancellation.start).not.toHaveBeenCalled();
+            expect(function () {
+                cancellation.throwIfCancelled();
+            }).toThrowError('Build was cancelled by test.');
+        })
+        .done(done);
+    });
+
+    it('should reject spawn with CordovaError if process fails', function (done) {
+        cancellation.spawn('sh', ['-c', 'exit 3'])
+        .then(function () {
+            fail('Expected promise to be rejected');
+        }, function (err) {
+            expect(err.name).toBe('CordovaError');
+            expect(err.message).toMatch(/^Error code 3 for command: sh/);
+        })
+        .done(done);
+    });
+
+    it('should stop the process along with its children', function (done) {
+        var proc = cancellation.start('sh', ['-c', 'sleep 300 & echo $!; sleep 300'], { stdio: ['ignore', 'pipe', 'ignore'] });
+        var closed = Q.Promise(function (resolve) {
+            proc.on('close', resolve);
+        });
+
+        Q.Promise(function (resolve) {
+            proc.stdout.once('data', function (data) {
+                resolve(Number(String(data).trim()));
+            });
+        })
+        .then(function (childPid) {
+            expect(isRunning(childPid)).toBe(true);
+            return cancellation.cancel()
+            .then(function () {
+                return closed;
+            })
+            .then(function () {
+                expect(cancellation.reason.message).toBe('Build was cancelled.');
+                expect(isRunning(proc.pid)).toBe(false);
+                expect(isRunning(childPid)).toBe(false);
+            });
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should cancel the operation after timeout', function (done) {
+        cancellation.cancelAfter(0.1);
+        cancellation.spawn('sh', ['-c', 'sleep 300'])
+        .then(function () {
+            fail('Expected promise to be rejected');
+        }, function (err) {
+            expect(err.message).toMatch(/Build has not completed in 0.1 seconds/);
+        })
+        .done(done);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var common = require('cordova-common');
+var EventEmitter = require('events').EventEmitter;
+var FileOwners = require('../../cordova/lib/FileOwners');
+
+describe('FileOwners', function () {
+    var root;
+    var owners;
+    var project;
+    var installer;
+    var item = { itemType: 'asset', src: 'www/asset.txt', target: 'asset.txt' };
+    var first = { id: 'first-plugin' };
+    var second = { id: 'second-plugin' };
+
+    beforeEach(function () {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'file-owners-'));
+        project = { www: path.join(root, 'assets', 'www'), platformWww: path.join(root, 'platform_www') };
+        owners = new FileOwners(common.PlatformJson.load(root, 'android'), root);
+        installer = jasmine.createSpy('installer').and.callFake(function () {
+            shell.mkdir('-p', project.www);
+            fs.writeFileSync(path.join(project.www, 'asset.txt'), 'installed');
+        });
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', root);
+    });
+
+    function install(plugin, options) {
+        owners.guardInstaller(installer)(item, plugin, project, options || {});
+    }
+
+    it('should record owner of installed file', function () {
+        install(first);
+        expect(owners.getOwner(path.join(project.www, 'asset.txt'))).toBe('first-plugin');
+        expect(owners.getFiles('first-plugin')).toEqual(['assets/www/asset.txt']);
+    });
+
+    it('should not let plugin overwrite file, owned by another plugin, unless forced', function () {
+        install(first);
+        expect(function () { install(second); }).toThrowError(/owned by plugin "first-plugin"/);
+
+        var events = new EventEmitter();
+        var warn = jasmine.createSpy('warn');
+        var originalEvents = common.events;
+        events.on('warn', warn);
+        common.events = events;
+        try {
+            install(second, { force: true });
+        } finally {
+            common.events = originalEvents;
+        }
+
+        expect(owners.getOwner(path.join(project.www, 'asset.txt'))).toBe('second-plugin');
+        expect(warn).toHaveBeenCalledWith('Plugin "second-plugin" takes over "assets/www/asset.txt" from plugin "first-plugin"');
+    });
+
+    it('should keep file, not owned by any plugin, on forced install', function () {
+        shell.mkdir('-p', project.www);
+        fs.writeFileSync(path.join(project.www, 'asset.txt'), 'user file');
+        installer.and.callFake(function () {
+            expect(fs.readFileSync(path.join(project.www, 'asset.txt'), 'utf8')).toBe('user file');
+        });
+        install(first, { force: true });
+        expect(installer).toHaveBeenCalled();
+    });
+
+    it('should not remove file, owned by another plugin', function () {
+        var uninstaller = jasmine.createSpy('uninstaller');
+        install(first);
+        owners.guardUninstaller(uninstaller)(item, second, project, {});
+        expect(uninstaller).not.toHaveBeenCalled();
+
+        owners.guardUninstaller(uninstaller)(item, first, project, {});
+        expect(uninstaller).toHaveBeenCalled();
+        expect(owners.getOwner(path.join(project.www, 'asset.txt'))).toBeUndefined();
+    });
+});
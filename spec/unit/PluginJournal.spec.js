@@ -0,0 +1,97 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var common = require('cordova-common');
+var EventEmitter = require('events').EventEmitter;
+var PluginJournal = require('../../cordova/lib/PluginJournal');
+
+describe('PluginJournal', function () {
+    var dir;
+    var plugin = { id: 'test-plugin', version: '1.0.0', dir: '/plugins/test-plugin' };
+    var items = [
+        { itemType: 'source-file', src: 'src/Test.java', targetDir: 'src/org/test' },
+        { itemType: 'asset', src: 'www/asset.txt', target: 'asset.txt' }
+    ];
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugin-journal-'));
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', dir);
+    });
+
+    it('should persist steps and variables of operation until it is finished', function () {
+        var journal = new PluginJournal(dir);
+        journal.begin('remove', plugin, items, { usePlatformWww: true }, { API_KEY: 'secret' });
+        journal.track(0, function () {}, 'started', 'done')();
+        journal.markPostStepDone('project');
+
+        var restored = new PluginJournal(dir);
+        expect(restored.isInterrupted()).toBe(true);
+        expect(restored.operation.action).toBe('remove');
+        expect(restored.operation.variables).toEqual({ API_KEY: 'secret' });
+        expect(restored.operation.options).toEqual({ usePlatformWww: true });
+        expect(restored.operation.steps.map(function (step) { return step.status; })).toEqual(['done', 'pending']);
+        expect(restored.operation.steps[1].target).toBe('asset.txt');
+        expect(restored.isPostStepDone('project')).toBe(true);
+
+        restored.finish();
+        expect(new PluginJournal(dir).isInterrupted()).toBe(false);
+    });
+
+    it('should leave step started if its handler throws', function () {
+        var journal = new PluginJournal(dir);
+        journal.begin('add', plugin, items, {});
+        expect(journal.track(1, function () { throw new Error('crash'); }, 'started', 'done')).toThrowError('crash');
+        expect(new PluginJournal(dir).operation.steps[1].status).toBe('started');
+    });
+
+    it('should run post-step only once', function () {
+        var journal = new PluginJournal(dir);
+        var step = jasmine.createSpy('step');
+        journal.begin('add', plugin, items, {});
+        journal.runPostStep('munger', step);
+        new PluginJournal(dir).runPostStep('munger', step);
+        expect(step.calls.count()).toBe(1);
+    });
+
+    it('should move corrupt journal aside and warn through current shared emitter', function () {
+        var emitter = new EventEmitter();
+        var warn = jasmine.createSpy('warn');
+        var originalEvents = common.events;
+        emitter.on('warn', warn);
+        // Emulates Api, replacing the emitter after the module is loaded
+        common.events = emitter;
+
+        try {
+            fs.writeFileSync(path.join(dir, 'plugin-journal.json'), '{"action": ');
+            expect(new PluginJournal(dir).isInterrupted()).toBe(false);
+        } finally {
+            common.events = originalEvents;
+        }
+
+        expect(fs.existsSync(path.join(dir, 'plugin-journal.json.corrupt'))).toBe(true);
+        expect(warn).toHaveBeenCalledWith(jasmine.stringMatching(/is corrupt/));
+    });
+});
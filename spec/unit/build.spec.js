@@ -0,0 +1,126 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var Q = require('q');
+var fs = require('fs');
+var path = require('path');
+var testProject = require('./util/project');
+
+describe('build', function () {
+    var project;
+    var api;
+    var build;
+    var builder;
+    var signingProperties;
+
+    beforeEach(function () {
+        project = testProject.create();
+        api = testProject.getApi(project);
+        build = require(path.join(project.root, 'cordova', 'lib', 'build'));
+        signingProperties = path.join(project.root, 'debug-signing.properties');
+
+        // Builder, that only writes signing properties like GradleBuilder does
+        builder = jasmine.createSpyObj('builder', ['prepEnv', 'build', 'clean', 'findOutputApks']);
+        builder.prepEnv.and.callFake(function (opts) {
+            if (opts.packageInfo) fs.writeFileSync(signingProperties, 'storePassword=secret\n');
+            return Q();
+        });
+        builder.clean.and.returnValue(Q());
+        builder.build.and.returnValue(Q());
+        builder.findOutputApks.and.returnValue([]);
+        spyOn(require(path.join(project.root, 'cordova', 'lib', 'builders', 'builders')), 'getBuilder')
+            .and.returnValue(builder);
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    function signingArgs() {
+        return ['--keystore', path.join(project.dir, 'debug.keystore'), '--alias', 'debug', '--storePassword', 'secret'];
+    }
+
+    describe('signing properties', function () {
+        it('should be removed after clean', function (done) {
+            build.runClean.call(api, { argv: signingArgs() })
+            .then(function () {
+                expect(builder.clean).toHaveBeenCalled();
+                expect(fs.existsSync(signingProperties)).toBe(false);
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should be removed if clean fails', function (done) {
+            builder.clean.and.returnValue(Q.reject(new Error('clean failed')));
+            build.runClean.call(api, { argv: signingArgs() })
+            .then(function () {
+                fail('clean should have failed');
+            }, function (err) {
+                expect(err.message).toBe('clean failed');
+                expect(fs.existsSync(signingProperties)).toBe(false);
+            })
+            .done(done);
+        });
+
+        it('should be removed if build fails', function (done) {
+            builder.build.and.returnValue(Q.reject(new Error('build failed')));
+            build.run.call(api, { argv: signingArgs().concat('--force') })
+            .then(function () {
+                fail('build should have failed');
+            }, function (err) {
+                expect(err.message).toBe('build failed');
+                expect(fs.existsSync(signingProperties)).toBe(false);
+            })
+            .done(done);
+        });
+
+        it('should be kept for project, prepared to be built by user', function (done) {
+            build.run.call(api, { argv: signingArgs().concat('--prepenv') })
+            .then(function () {
+                expect(builder.build).not.toHaveBeenCalled();
+                expect(fs.existsSync(signingProperties)).toBe(true);
+            })
+            .catch(fail)
+            .done(done);
+        });
+    });
+
+    describe('flavors', function () {
+        it('should add flavor\'s versionCodeOffset to explicit versionCode', function (done) {
+            var buildConfig = path.join(project.dir, 'build.json');
+            fs.writeFileSync(buildConfig, JSON.stringify({
+                android: { flavors: { free: { versionCodeOffset: 2 }, paid: {} } }
+            }));
+
+            build.run.call(api, { buildConfig: buildConfig, argv: ['--versionCode=100', '--force'] })
+            .then(function () {
+                var versionCodeArgs = builder.build.calls.allArgs().map(function (args) {
+                    return args[0].extraArgs.filter(function (arg) {
+                        return arg.indexOf('-PcdvVersionCode=') === 0;
+                    });
+                });
+                expect(versionCodeArgs).toEqual([['-PcdvVersionCode=120'], ['-PcdvVersionCode=100']]);
+            })
+            .catch(fail)
+            .done(done);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var buildJson = require('../../cordova/lib/buildJson');
+
+describe('buildJson', function () {
+    describe('validate', function () {
+        it('should report unknown and mistyped android properties with their paths', function () {
+            expect(buildJson.validate({
+                android: {
+                    release: { keystore: 'release.keystore', alias: 1, storepassword: 'secret' },
+                    versionCodeStrategy: 'random'
+                }
+            })).toEqual([
+                'android.release.alias: expected string, got number',
+                'android.release.storepassword: unknown property',
+                'android.versionCodeStrategy: expected one of "semver", "timestamp", "gitCount", "abi", got "random"'
+            ]);
+        });
+
+        it('should accept sections of other platforms and tools', function () {
+            expect(buildJson.validate({
+                ios: { release: { codeSignIdentity: 'iPhone Distribution' } },
+                electron: { mac: { package: ['dmg'] } },
+                myTool: { anything: true }
+            })).toEqual([]);
+        });
+
+        it('should accept valid android section', function () {
+            expect(buildJson.validate({
+                android: {
+                    debug: { keystore: 'debug.keystore', alias: 'debug', storePassword: 'env:PASSWORD' },
+                    systemLibraryMappings: { '^extras/android/support/(.*)$': 'com.android.support:$1:23.4.0' },
+                    flavors: { free: { packageIdSuffix: '.free', versionCodeOffset: 1 } }
+                }
+            })).toEqual([]);
+        });
+    });
+
+    describe('load', function () {
+        var dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-json-'));
+        });
+
+        afterEach(function () {
+            shell.rm('-rf', dir);
+        });
+
+        function write(file, config) {
+            shell.mkdir('-p', path.dirname(path.join(dir, file)));
+            fs.writeFileSync(path.join(dir, file), JSON.stringify(config));
+            return path.join(dir, file);
+        }
+
+        it('should merge extending config over base one and rebase paths of base config', function () {
+            write('team/base.json', {
+                android: {
+                    release: { keystore: 'keys/release.keystore', alias: 'team', storePassword: 'file:keys/storepass' },
+                    versionCodeStrategy: 'gitCount'
+                }
+            });
+            var file = write('app/build.json', {
+                'extends': '../team/base.json',
+                android: { release: { alias: 'app' } }
+            });
+
+            expect(buildJson.load(file)).toEqual({
+                android: {
+                    release: {
+                        keystore: path.join(dir, 'team', 'keys', 'release.keystore'),
+                        alias: 'app',
+                        storePassword: 'file:' + path.join(dir, 'team', 'keys', 'storepass')
+                    },
+                    versionCodeStrategy: 'gitCount'
+                }
+            });
+        });
+
+        it('should reject invalid config, naming the file', function () {
+            var file = write('build.json', { android: { release: { storepassword: 'secret' } } });
+            expect(function () { buildJson.load(file); })
+                .toThrowError(/Invalid build config file .*build\.json:\s+android\.release\.storepassword: unknown property/);
+        });
+
+        it('should reject circular extends', function () {
+            write('a.json', { 'extends': 'b.json' });
+            write('b.json', { 'extends': 'a.json' });
+            expect(function () { buildJson.load(path.join(dir, 'a.json')); }).toThrowError(/Circular "extends"/);
+        });
+    });
+});
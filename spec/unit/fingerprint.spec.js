@@ -0,0 +1,93 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var testProject = require('./util/project');
+
+describe('fingerprint', function () {
+    var project;
+    var api;
+    var fingerprint;
+    var opts = { buildType: 'debug', buildMethod: 'gradle' };
+
+    beforeEach(function () {
+        project = testProject.create();
+        api = testProject.getApi(project);
+        fingerprint = require(path.join(project.root, 'cordova', 'lib', 'fingerprint'));
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    function writeFile(file, content) {
+        shell.mkdir('-p', path.dirname(path.join(project.root, file)));
+        fs.writeFileSync(path.join(project.root, file), content);
+    }
+
+    function expectChangedBy(change) {
+        var before = fingerprint.compute.call(api, opts);
+        change();
+        expect(fingerprint.compute.call(api, opts)).not.toBe(before);
+    }
+
+    it('should be stable if inputs have not changed', function () {
+        expect(fingerprint.compute.call(api, opts)).toBe(fingerprint.compute.call(api, opts));
+    });
+
+    it('should change with www and other assets', function () {
+        expectChangedBy(function () { writeFile('assets/www/index.html', '<html></html>'); });
+        expectChangedBy(function () { writeFile('assets/data/db.json', '{}'); });
+    });
+
+    it('should change with sources, resources and libs', function () {
+        expectChangedBy(function () { writeFile('res/values/colors.xml', '<resources/>'); });
+        expectChangedBy(function () { writeFile('src/org/test/Test.java', 'class Test {}'); });
+        expectChangedBy(function () { writeFile('libs/foo.jar', 'jar'); });
+    });
+
+    it('should change with all top-level gradle files', function () {
+        expectChangedBy(function () { writeFile('build-extras.gradle', 'ext.cdvMinSdkVersion = 16'); });
+        expectChangedBy(function () { writeFile('custom.gradle', 'ext.foo = 1'); });
+        expectChangedBy(function () { writeFile('gradle.properties', 'org.gradle.daemon=true'); });
+    });
+
+    it('should change with referenced library projects and gradle files, but not with their build outputs', function () {
+        fs.appendFileSync(path.join(project.root, 'project.properties'),
+            'android.library.reference.2=test-plugin/test-lib\ncordova.gradle.include.1=test-plugin/test-extras.gradle\n');
+        writeFile('CordovaLib/build/classes.jar', 'classes');
+        writeFile('test-plugin/test-lib/build/classes.jar', 'classes');
+
+        var before = fingerprint.compute.call(api, opts);
+        writeFile('CordovaLib/build/classes.jar', 'other classes');
+        writeFile('test-plugin/test-lib/build/classes.jar', 'other classes');
+        expect(fingerprint.compute.call(api, opts)).toBe(before);
+
+        expectChangedBy(function () { writeFile('CordovaLib/src/org/apache/cordova/Test.java', 'class Test {}'); });
+        expectChangedBy(function () { writeFile('test-plugin/test-lib/src/Lib.java', 'class Lib {}'); });
+        expectChangedBy(function () { writeFile('test-plugin/test-extras.gradle', 'ext.bar = 1'); });
+    });
+
+    it('should change with build options', function () {
+        var before = fingerprint.compute.call(api, opts);
+        expect(fingerprint.compute.call(api, { buildType: 'release', buildMethod: 'gradle' })).not.toBe(before);
+    });
+});
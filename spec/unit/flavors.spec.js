@@ -0,0 +1,105 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var path = require('path');
+var testProject = require('./util/project');
+
+describe('flavors', function () {
+    var project;
+    var api;
+    var flavors;
+    var prepare;
+
+    beforeEach(function () {
+        project = testProject.create();
+        api = testProject.getApi(project);
+        flavors = require(path.join(project.root, 'cordova', 'lib', 'flavors'));
+        prepare = require(path.join(project.root, 'cordova', 'lib', 'prepare'));
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    function readManifest() {
+        return fs.readFileSync(api.locations.manifest, 'utf8');
+    }
+
+    describe('select', function () {
+        var config = { android: { flavors: { free: { packageIdSuffix: '.free' }, paid: { appName: 'Paid' } } } };
+
+        it('should select all declared flavors in order of declaration', function () {
+            expect(flavors.select(config)).toEqual([
+                { name: 'free', packageIdSuffix: '.free' },
+                { name: 'paid', appName: 'Paid' }
+            ]);
+        });
+
+        it('should select requested flavor', function () {
+            expect(flavors.select(config, 'paid')).toEqual([{ name: 'paid', appName: 'Paid' }]);
+        });
+
+        it('should reject undeclared flavor', function () {
+            expect(function () { flavors.select(config, 'pro'); })
+                .toThrowError('Flavor "pro" is not declared in build config. Available flavors: free, paid');
+        });
+
+        it('should return null if no flavors are declared', function () {
+            expect(flavors.select({ android: {} })).toBe(null);
+        });
+    });
+
+    describe('apply', function () {
+        it('should apply flavor to project and revert it', function () {
+            var originalConfig = fs.readFileSync(api.locations.configXml, 'utf8');
+
+            var revert = flavors.apply.call(api, { name: 'free', packageIdSuffix: '.free', appName: 'Free', versionCodeOffset: 1 });
+            expect(readManifest()).toContain('package="io.cordova.helloCordova.free"');
+            expect(readManifest()).toContain('android:versionCode="20001"');
+            expect(fs.readFileSync(api.locations.strings, 'utf8')).toContain('>Free<');
+            expect(fs.existsSync(path.join(project.root, 'src', 'io', 'cordova', 'helloCordova', 'free', 'MainActivity.java')))
+                .toBe(true);
+
+            revert();
+            expect(fs.readFileSync(api.locations.configXml, 'utf8')).toBe(originalConfig);
+            expect(readManifest()).toContain('package="io.cordova.helloCordova"');
+            expect(readManifest()).toContain('android:versionCode="20000"');
+            expect(fs.existsSync(path.join(project.root, 'src', 'io', 'cordova', 'helloCordova', 'MainActivity.java')))
+                .toBe(true);
+        });
+
+        it('should revert partially applied flavor', function () {
+            var originalConfig = fs.readFileSync(api.locations.configXml, 'utf8');
+            var updateProject = prepare.updateProjectAccordingTo;
+            spyOn(prepare, 'updateProjectAccordingTo').and.callFake(function () {
+                if (prepare.updateProjectAccordingTo.calls.count() === 1) throw new Error('update failed');
+                return updateProject.apply(this, arguments);
+            });
+
+            expect(function () {
+                flavors.apply.call(api, { name: 'free', packageIdSuffix: '.free' });
+            }).toThrowError('update failed');
+            expect(prepare.updateProjectAccordingTo.calls.count()).toBe(2);
+            expect(fs.readFileSync(api.locations.configXml, 'utf8')).toBe(originalConfig);
+            expect(readManifest()).not.toContain('.free');
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var gradleWrapper = require('../../cordova/lib/builders/gradleWrapper');
+
+var BUNDLED_WRAPPER_DIR = path.join(__dirname, '..', '..', 'cordova', 'lib', 'gradle-wrapper');
+
+describe('gradleWrapper', function () {
+    var dir;
+    var originalEnv;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gradle-wrapper-'));
+        originalEnv = {};
+        ['ANDROID_HOME', 'CORDOVA_ANDROID_GRADLE_DISTRIBUTION_URL', 'CORDOVA_ANDROID_GRADLE_DISTRIBUTION_SHA256',
+            'CORDOVA_ANDROID_GRADLE_DISTRIBUTION_DIR'].forEach(function (name) {
+            originalEnv[name] = process.env[name];
+            delete process.env[name];
+        });
+        spyOn(events, 'emit');
+    });
+
+    afterEach(function () {
+        Object.keys(originalEnv).forEach(function (name) {
+            if (originalEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = originalEnv[name];
+            }
+        });
+        shell.rm('-rf', dir);
+    });
+
+    describe('findWrapperDir', function () {
+        it('should prefer wrapper template of Android SDK', function () {
+            var templateDir = path.join(dir, 'tools', 'templates', 'gradle', 'wrapper');
+            shell.mkdir('-p', templateDir);
+            shell.cp('-R', path.join(BUNDLED_WRAPPER_DIR, '*'), templateDir);
+            process.env.ANDROID_HOME = dir;
+
+            expect(gradleWrapper.findWrapperDir()).toBe(templateDir);
+        });
+
+        it('should fall back to the bundled wrapper', function () {
+            process.env.ANDROID_HOME = dir;
+            expect(gradleWrapper.findWrapperDir()).toBe(BUNDLED_WRAPPER_DIR);
+            expect(events.emit).toHaveBeenCalledWith('verbose',
+                'Gradle wrapper template is not found in Android SDK, using the bundled one.');
+
+            delete process.env.ANDROID_HOME;
+            expect(gradleWrapper.findWrapperDir()).toBe(BUNDLED_WRAPPER_DIR);
+        });
+
+        it('should find the bundled wrapper complete', function () {
+            expect(gradleWrapper.isWrapperDir(BUNDLED_WRAPPER_DIR)).toBe(true);
+            expect(fs.existsSync(path.join(BUNDLED_WRAPPER_DIR, 'gradlew'))).toBe(true);
+            expect(fs.existsSync(path.join(BUNDLED_WRAPPER_DIR, 'gradlew.bat'))).toBe(true);
+            expect(fs.existsSync(path.join(BUNDLED_WRAPPER_DIR, 'gradle', 'wrapper', 'gradle-wrapper.properties')))
+                .toBe(true);
+        });
+    });
+
+    // File URLs of Windows paths differ
+    (process.platform === 'win32' ? xdescribe : describe)('getDistribution', function () {
+        var zipPath;
+        var sha256 = '0e687aaa28b03552c11dca346c7c8914e62b3e2ada613a7288c28c9e7e9ddeb4';
+
+        beforeEach(function () {
+            zipPath = path.join(dir, 'gradle-2.2.1-all.zip');
+            fs.writeFileSync(zipPath, 'gradle');
+        });
+
+        it('should use the default distribution', function () {
+            expect(gradleWrapper.getDistribution()).toEqual({
+                url: 'http\\://services.gradle.org/distributions/gradle-2.2.1-all.zip',
+                sha256: null
+            });
+        });
+
+        it('should use cached distribution, verified against checksum file', function () {
+            process.env.CORDOVA_ANDROID_GRADLE_DISTRIBUTION_DIR = dir;
+            fs.writeFileSync(zipPath + '.sha256', sha256 + '  gradle-2.2.1-all.zip\n');
+            expect(gradleWrapper.getDistribution()).toEqual({ url: 'file://' + zipPath, sha256: sha256 });
+        });
+
+        it('should reject local distribution, which doesn\'t match its checksum', function () {
+            process.env.CORDOVA_ANDROID_GRADLE_DISTRIBUTION_URL = 'file://' + zipPath;
+            process.env.CORDOVA_ANDROID_GRADLE_DISTRIBUTION_SHA256 = sha256.replace(/^0/, '1');
+            expect(gradleWrapper.getDistribution).toThrowError(/doesn't match/);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var EventEmitter = require('events').EventEmitter;
+var hooks = require('../../cordova/lib/hooks');
+
+describe('hooks', function () {
+    var api;
+    var hooksDir;
+
+    beforeEach(function () {
+        var root = fs.mkdtempSync(path.join(os.tmpdir(), 'hooks-'));
+        api = { root: root, platform: 'android', locations: { root: root }, events: new EventEmitter() };
+        hooksDir = path.join(root, 'cordova', 'hooks');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', api.root);
+    });
+
+    function addScript(hook, name, content) {
+        shell.mkdir('-p', path.join(hooksDir, hook));
+        fs.writeFileSync(path.join(hooksDir, hook, name), content);
+    }
+
+    it('should emit hook events and run scripts from cordova/hooks around operation', function (done) {
+        var calls = [];
+        api.events.on('before_build', function (context) { calls.push('event:' + context.hook); });
+        api.events.on('after_build', function (context) { calls.push('event:' + context.hook + ':' + context.result); });
+        addScript('before_build', '20-second.js', 'module.exports = function (context) { context.calls.push("second"); };');
+        addScript('before_build', '10-first.js', 'module.exports = function (context) { context.calls.push("first"); };');
+
+        hooks.around.call(api, 'build', { calls: calls }, function () {
+            calls.push('operation');
+            return 'apk';
+        })
+        .then(function (result) {
+            expect(result).toBe('apk');
+            expect(calls).toEqual(['event:before_build', 'first', 'second', 'operation', 'event:after_build:apk']);
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should not run operation if before hook script fails', function (done) {
+        var operation = jasmine.createSpy('operation');
+        addScript('before_clean', 'fail.js', 'module.exports = function () { throw new Error("oops"); };');
+
+        hooks.around.call(api, 'clean', {}, operation)
+        .then(function () {
+            fail('operation should have failed');
+        }, function (err) {
+            expect(operation).not.toHaveBeenCalled();
+            expect(err.message).toContain('Hook script ' + path.join('cordova', 'hooks', 'before_clean', 'fail.js'));
+            expect(err.message).toContain('oops');
+        })
+        .done(done);
+    });
+
+    it('should ignore hooks directory outside of cordova', function (done) {
+        var operation = jasmine.createSpy('operation');
+        shell.mkdir('-p', path.join(api.root, 'hooks', 'before_run'));
+        fs.writeFileSync(path.join(api.root, 'hooks', 'before_run', 'fail.js'), 'module.exports = function () { throw new Error("oops"); };');
+
+        hooks.around.call(api, 'run', {}, operation)
+        .then(function () {
+            expect(operation).toHaveBeenCalled();
+        })
+        .catch(fail)
+        .done(done);
+    });
+});
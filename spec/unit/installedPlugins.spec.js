@@ -0,0 +1,93 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var path = require('path');
+var PluginInfo = require('cordova-common').PluginInfo;
+var testProject = require('./util/project');
+
+describe('installedPlugins.verify', function () {
+    var project;
+    var api;
+
+    beforeEach(function (done) {
+        project = testProject.create();
+        api = testProject.getApi(project);
+        api.addPlugin(new PluginInfo(path.join(project.plugins, 'test-plugin')), { variables: { API_KEY: 'key' } })
+        .catch(fail)
+        .done(done);
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    function verify() {
+        return testProject.getApi(project).verifyPlugins()
+        .then(function (results) {
+            expect(results.length).toBe(1);
+            return results[0];
+        });
+    }
+
+    it('should report untouched plugin as ok', function (done) {
+        verify()
+        .then(function (result) {
+            expect(result.id).toBe('test-plugin');
+            expect(result.status).toBe('ok');
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should report plugin as unknown, if source of some item is not available', function (done) {
+        fs.unlinkSync(path.join(project.plugins, 'test-plugin', 'www', 'asset.txt'));
+        verify()
+        .then(function (result) {
+            expect(result.status).toBe('unknown');
+            expect(result.items.filter(function (item) { return item.status !== 'ok'; }))
+                .toEqual([jasmine.objectContaining({ type: 'asset', status: 'unknown' })]);
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should report plugin as modified, if installed file differs from its source', function (done) {
+        fs.unlinkSync(path.join(project.plugins, 'test-plugin', 'www', 'asset.txt'));
+        fs.writeFileSync(path.join(project.root, 'src', 'org', 'test', 'Test.java'), 'changed');
+        verify()
+        .then(function (result) {
+            expect(result.status).toBe('modified');
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should report plugin as modified, if installed file is missing', function (done) {
+        fs.unlinkSync(path.join(project.root, 'libs', 'foo.jar'));
+        verify()
+        .then(function (result) {
+            expect(result.status).toBe('modified');
+            expect(result.items.filter(function (item) { return item.status === 'missing'; }).length).toBe(1);
+        })
+        .catch(fail)
+        .done(done);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var keystore = require('../../cordova/lib/keystore');
+
+// Replaces keytool with a script, which records its arguments and environment
+// and prints canned output
+var FAKE_KEYTOOL = [
+    '#!/bin/sh',
+    'dir=$(dirname "$0")',
+    'printf "%s\\n" "$@" > "$dir/args"',
+    'env > "$dir/env"',
+    'if [ -f "$dir/output" ]; then cat "$dir/output"; fi',
+    'exit $(cat "$dir/code" 2>/dev/null || echo 0)'
+].join('\n') + '\n';
+
+function keyEntry(alias, validUntil) {
+    return 'Alias name: ' + alias + '\n' +
+        'Creation date: Oct 19, 2016\n' +
+        'Entry type: PrivateKeyEntry\n' +
+        'Valid from: Wed Oct 19 10:00:00 UTC 2016 until: ' + validUntil + '\n' +
+        'Certificate fingerprints:\n' +
+        '\t SHA1: AA:BB\n' +
+        '\t SHA256: CC:DD\n';
+}
+
+(process.platform === 'win32' ? xdescribe : describe)('keystore', function () {
+    var dir;
+    var binDir;
+    var originalPath = process.env.PATH;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-'));
+        binDir = path.join(dir, 'bin');
+        shell.mkdir('-p', binDir);
+        fs.writeFileSync(path.join(binDir, 'keytool'), FAKE_KEYTOOL);
+        fs.chmodSync(path.join(binDir, 'keytool'), '755');
+        process.env.PATH = binDir + path.delimiter + originalPath;
+    });
+
+    afterEach(function () {
+        process.env.PATH = originalPath;
+        shell.rm('-rf', dir);
+    });
+
+    function keytoolArgs() {
+        return fs.readFileSync(path.join(binDir, 'args'), 'utf8').trim().split('\n');
+    }
+
+    function keytoolEnv(name) {
+        var match = new RegExp('^' + name + '=(.*)$', 'm').exec(fs.readFileSync(path.join(binDir, 'env'), 'utf8'));
+        return match && match[1];
+    }
+
+    function writeBuildConfig(config) {
+        var buildConfig = path.join(dir, 'build.json');
+        fs.writeFileSync(buildConfig, JSON.stringify(config));
+        return buildConfig;
+    }
+
+    it('should pass passwords to keytool in environment rather than arguments', function (done) {
+        fs.writeFileSync(path.join(binDir, 'output'), keyEntry('release', 'Thu Mar 12 10:00:00 UTC 2043'));
+
+        keystore.list({ keystore: path.join(dir, 'release.keystore'), storePassword: 'secret', buildType: 'release', buildConfig: writeBuildConfig({}) })
+        .then(function (keys) {
+            var args = keytoolArgs();
+            expect(args).not.toContain('secret');
+            expect(args).toContain('-storepass:env');
+            expect(keytoolEnv(args[args.indexOf('-storepass:env') + 1])).toBe('secret');
+            expect(keys).toEqual([{
+                alias: 'release',
+                sha1: 'AA:BB',
+                sha256: 'CC:DD',
+                validUntil: new Date(Date.UTC(2043, 2, 12, 10, 0, 0))
+            }]);
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should make keytool print dates independent of user locale', function (done) {
+        keystore.list({ keystore: path.join(dir, 'release.keystore'), buildType: 'release', buildConfig: writeBuildConfig({}) })
+        .then(function () {
+            expect(keytoolArgs()).toEqual(jasmine.arrayContaining(['-J-Duser.language=en', '-J-Duser.timezone=UTC']));
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should reject expired key', function (done) {
+        var keystoreFile = path.join(dir, 'release.keystore');
+        fs.writeFileSync(keystoreFile, '');
+        fs.writeFileSync(path.join(binDir, 'output'), keyEntry('release', 'Sat Jan 01 00:00:00 UTC 2000'));
+
+        keystore.verify({ keystore: keystoreFile, alias: 'release', password: 'keypass', buildType: 'release', buildConfig: writeBuildConfig({}) })
+        .then(function () {
+            fail('verify should have failed');
+        }, function (err) {
+            expect(err.message).toContain('has expired');
+        })
+        .done(done);
+    });
+
+    it('should report keytool error', function (done) {
+        var keystoreFile = path.join(dir, 'release.keystore');
+        fs.writeFileSync(keystoreFile, '');
+        fs.writeFileSync(path.join(binDir, 'output'), 'keytool error: java.io.IOException: password was incorrect\n');
+        fs.writeFileSync(path.join(binDir, 'code'), '1');
+
+        keystore.verify({ keystore: keystoreFile, alias: 'release', buildType: 'release', buildConfig: writeBuildConfig({}) })
+        .then(function () {
+            fail('verify should have failed');
+        }, function (err) {
+            expect(err.message).toBe('keytool error: java.io.IOException: password was incorrect');
+        })
+        .done(done);
+    });
+
+    it('should merge new keystore into existing build.json section', function (done) {
+        var buildConfig = writeBuildConfig({
+            android: {
+                release: { keystore: 'old.keystore', alias: 'old', storePassword: 'env:OLD_PASSWORD', packageType: 'apk' },
+                debug: { keystore: 'debug.keystore' }
+            },
+            ios: { release: { codeSignIdentity: 'iPhone Distribution' } }
+        });
+        fs.writeFileSync(path.join(dir, 'keypass.txt'), 'keypass');
+
+        keystore.create({
+            buildConfig: buildConfig,
+            buildType: 'release',
+            keystore: path.join(dir, 'keys', 'release.keystore'),
+            alias: 'release',
+            password: 'file:' + path.join(dir, 'keypass.txt')
+        })
+        .then(function () {
+            expect(keytoolArgs()).not.toContain('keypass');
+            var config = JSON.parse(fs.readFileSync(buildConfig, 'utf8'));
+            expect(config.android.release).toEqual({
+                keystore: 'keys/release.keystore',
+                alias: 'release',
+                password: 'file:keypass.txt',
+                packageType: 'apk'
+            });
+            expect(config.android.debug).toEqual({ keystore: 'debug.keystore' });
+            expect(config.ios).toBeDefined();
+        })
+        .catch(fail)
+        .done(done);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+
+var fs = require('fs');
+var path = require('path');
+var shell = require('shelljs');
+var testProject = require('./util/project');
+
+describe('migrations', function () {
+    var project;
+    var propertiesFile;
+
+    beforeEach(function () {
+        project = testProject.create();
+        propertiesFile = path.join(project.root, 'project.properties');
+        fs.appendFileSync(propertiesFile, 'cordova.system.library.2=com.android.support:support-v4:+\n' +
+            'cordova.system.library.5=com.google.code.gson:gson:2.3\n');
+        shell.mkdir('-p', path.join(project.root, 'assets', 'www', 'plugins'));
+        fs.writeFileSync(path.join(project.root, 'assets', 'www', 'cordova.js'), '// cordova');
+    });
+
+    afterEach(function () {
+        project.remove();
+    });
+
+    it('should only report changes in dry run mode', function (done) {
+        var properties = fs.readFileSync(propertiesFile, 'utf8');
+        var api = testProject.getApi(project);
+
+        api.migrate({ dryRun: true })
+        .then(function (results) {
+            expect(results.map(function (result) { return result.version; })).toEqual([1, 2]);
+            expect(results[0].changes.length).toBe(1);
+            expect(results[1].changes.length).toBe(2);
+            expect(fs.readFileSync(propertiesFile, 'utf8')).toBe(properties);
+            expect(fs.existsSync(path.join(project.root, 'platform_www', 'cordova.js'))).toBe(false);
+            expect(testProject.getApi(project)._platformJson.root.schema_version).toBeUndefined();
+        })
+        .catch(fail)
+        .done(done);
+    });
+
+    it('should renumber library references and copy platform www files', function (done) {
+        testProject.getApi(project).migrate()
+        .then(function () {
+            var properties = fs.readFileSync(propertiesFile, 'utf8');
+            expect(properties).toContain('cordova.system.library.1=com.android.support:support-v4:+');
+            expect(properties).toContain('cordova.system.library.2=com.google.code.gson:gson:2.3');
+            expect(properties).not.toContain('cordova.system.library.5');
+            expect(fs.existsSync(path.join(project.root, 'platform_www', 'cordova.js'))).toBe(true);
+            expect(fs.existsSync(path.join(project.root, 'assets', 'www', 'cordova.js'))).toBe(true);
+
+            var api = testProject.getApi(project);
+            expect(api._platformJson.root.schema_version).toBe(2);
+            return api.migrate();
+        })
+        .then(function (results) {
+            expect(results).toEqual([]);
+        })
+        .catch(fail)
+        .done(done);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var systemLibraries = require('../../cordova/lib/builders/systemLibraries');
+
+describe('systemLibraries', function () {
+    var dir;
+    var projectRoot;
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'system-libraries-'));
+        projectRoot = path.join(dir, 'platforms', 'android');
+        shell.mkdir('-p', projectRoot);
+        spyOn(events, 'emit');
+    });
+
+    afterEach(function () {
+        shell.rm('-rf', dir);
+    });
+
+    describe('getLockFile', function () {
+        it('should keep the lock in the top-level project, which has config.xml', function () {
+            fs.writeFileSync(path.join(dir, 'config.xml'), '<widget/>');
+            expect(systemLibraries.getLockFile(projectRoot)).toBe(path.join(dir, 'cordova-deps.lock'));
+        });
+
+        it('should keep the lock in the top-level project, which has www', function () {
+            shell.mkdir(path.join(dir, 'www'));
+            expect(systemLibraries.getLockFile(projectRoot)).toBe(path.join(dir, 'cordova-deps.lock'));
+        });
+
+        it('should keep the lock in the root of standalone platform project', function () {
+            expect(systemLibraries.getLockFile(projectRoot)).toBe(path.join(projectRoot, 'cordova-deps.lock'));
+        });
+    });
+
+    describe('resolve', function () {
+        it('should map SDK paths and write the lock next to standalone project', function () {
+            var coordinates = systemLibraries.resolve(projectRoot,
+                ['extras/android/support/v4', 'com.google.code.gson:gson:2.3']);
+
+            expect(coordinates).toEqual(['com.android.support:support-v4:+', 'com.google.code.gson:gson:2.3']);
+            expect(fs.existsSync(path.join(projectRoot, 'cordova-deps.lock'))).toBe(true);
+            expect(fs.existsSync(path.join(dir, 'cordova-deps.lock'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,278 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+// Encoding binary formats requires bitwise operations
+/* jshint bitwise: false */
+
+var fs = require('fs');
+var zlib = require('zlib');
+
+var ANDROID_NAMESPACE = 'http://schemas.android.com/apk/res/android';
+
+// Resource ids of framework attributes, used in fixture manifests
+var ANDROID_ATTRIBUTES = {
+    label: 0x01010001,
+    name: 0x01010003,
+    minSdkVersion: 0x0101020c,
+    versionCode: 0x0101021b,
+    versionName: 0x0101021c,
+    targetSdkVersion: 0x01010270
+};
+
+var TYPE_REFERENCE = 0x01;
+var TYPE_STRING = 0x03;
+var TYPE_INT_DEC = 0x10;
+
+/**
+ * Encodes an element tree into binary XML the way aapt does for
+ *   AndroidManifest.xml. Attribute values are encoded by their JS type:
+ *   numbers as decimal integers, { reference: 0x7f010000 } as references and
+ *   everything else as strings. Attributes prefixed with 'android:' are put
+ *   into Android namespace.
+ *
+ * @param   {Object}  element  Root element as { name: 'manifest', attrib: {},
+ *   children: [] }.
+ *
+ * @return  {Buffer}           Binary XML document.
+ */
+module.exports.encodeXml = function (element) {
+    // Names of framework attributes go first, so resource map covers them
+    var strings = Object.keys(ANDROID_ATTRIBUTES);
+    function indexOf(string) {
+        if (strings.indexOf(string) < 0) strings.push(string);
+        return strings.indexOf(string);
+    }
+    indexOf('android');
+    indexOf(ANDROID_NAMESPACE);
+
+    var nodes = [];
+    function encodeElement(element) {
+        var attributes = Object.keys(element.attrib || {}).map(function (name) {
+            var isAndroid = name.indexOf('android:') === 0;
+            var value = element.attrib[name];
+            var attribute = Buffer.alloc(20);
+            attribute.writeUInt32LE(isAndroid ? indexOf(ANDROID_NAMESPACE) : 0xffffffff, 0);
+            attribute.writeUInt32LE(indexOf(name.replace(/^android:/, '')), 4);
+            attribute.writeUInt32LE(typeof value === 'string' ? indexOf(value) : 0xffffffff, 8);
+            attribute.writeUInt16LE(8, 12);
+            if (typeof value === 'number') {
+                attribute[15] = TYPE_INT_DEC;
+                attribute.writeInt32LE(value, 16);
+            } else if (typeof value === 'object') {
+                attribute[15] = TYPE_REFERENCE;
+                attribute.writeUInt32LE(value.reference, 16);
+            } else {
+                attribute[15] = TYPE_STRING;
+                attribute.writeUInt32LE(indexOf(value), 16);
+            }
+            return attribute;
+        });
+
+        var start = Buffer.alloc(20);
+        start.writeUInt32LE(0xffffffff, 0);
+        start.writeUInt32LE(indexOf(element.name), 4);
+        start.writeUInt16LE(20, 8);
+        start.writeUInt16LE(20, 10);
+        start.writeUInt16LE(attributes.length, 12);
+        nodes.push(xmlNode(0x0102, Buffer.concat([start].concat(attributes))));
+
+        (element.children || []).forEach(encodeElement);
+
+        var end = Buffer.alloc(8);
+        end.writeUInt32LE(0xffffffff, 0);
+        end.writeUInt32LE(indexOf(element.name), 4);
+        nodes.push(xmlNode(0x0103, end));
+    }
+
+    var namespace = Buffer.alloc(8);
+    namespace.writeUInt32LE(indexOf('android'), 0);
+    namespace.writeUInt32LE(indexOf(ANDROID_NAMESPACE), 4);
+    encodeElement(element);
+
+    var resourceMap = Buffer.alloc(Object.keys(ANDROID_ATTRIBUTES).length * 4);
+    Object.keys(ANDROID_ATTRIBUTES).forEach(function (name, i) {
+        resourceMap.writeUInt32LE(ANDROID_ATTRIBUTES[name], i * 4);
+    });
+
+    return chunk(0x0003, Buffer.alloc(0), Buffer.concat([
+        encodeStringPool(strings),
+        chunk(0x0180, Buffer.alloc(0), resourceMap),
+        xmlNode(0x0100, namespace)
+    ].concat(nodes, [xmlNode(0x0101, namespace)])));
+};
+
+/**
+ * Encodes resources.arsc with a single package (0x7f) and a single string
+ *   type (0x01), so string with index i gets id 0x7f010000 + i.
+ *
+ * @param   {String[]}  strings  Values of string resources. Null items leave
+ *   gaps in resource ids.
+ * @param   {Boolean}   sparse   Whether to encode type chunk as sparse one,
+ *   as aapt2 does for API 26+.
+ *
+ * @return  {Buffer}             Binary resource table.
+ */
+module.exports.encodeResources = function (strings, sparse) {
+    var values = strings.filter(function (string) {
+        return string !== null;
+    });
+
+    var offsets = [];
+    var entries = [];
+    strings.forEach(function (string, i) {
+        if (string === null) {
+            if (!sparse) offsets.push(0xffffffff);
+            return;
+        }
+        var offset = entries.length * 16;
+        if (sparse) {
+            offsets.push(((offset / 4) << 16 | i) >>> 0);
+        } else {
+            offsets.push(offset);
+        }
+        var entry = Buffer.alloc(16);
+        entry.writeUInt16LE(8, 0);
+        entry.writeUInt16LE(8, 8);
+        entry[11] = TYPE_STRING;
+        entry.writeUInt32LE(values.indexOf(string), 12);
+        entries.push(entry);
+    });
+
+    // Header is followed by ResTable_config, which is described by its size
+    var typeHeader = Buffer.alloc(76);
+    typeHeader[0] = 0x01;
+    typeHeader[1] = sparse ? 0x01 : 0;
+    typeHeader.writeUInt32LE(offsets.length, 4);
+    typeHeader.writeUInt32LE(84 + offsets.length * 4, 8);
+    typeHeader.writeUInt32LE(64, 12);
+    var offsetTable = Buffer.alloc(offsets.length * 4);
+    offsets.forEach(function (offset, i) {
+        offsetTable.writeUInt32LE(offset, i * 4);
+    });
+
+    var packageHeader = Buffer.alloc(280);
+    packageHeader.writeUInt32LE(0x7f, 0);
+    packageHeader.write('org.apache.cordova.test', 4, 'utf16le');
+
+    var tableHeader = Buffer.alloc(4);
+    tableHeader.writeUInt32LE(1, 0);
+
+    return chunk(0x0002, tableHeader, Buffer.concat([
+        encodeStringPool(values),
+        chunk(0x0200, packageHeader, chunk(0x0201, typeHeader, Buffer.concat([offsetTable].concat(entries))))
+    ]));
+};
+
+/**
+ * Writes a zip archive, deflating all entries but resources.arsc, which is
+ *   stored uncompressed as in real packages.
+ *
+ * @param   {String}  zipPath  Path to write archive to.
+ * @param   {Object}  entries  Map of entry name to its data.
+ */
+module.exports.writeZip = function (zipPath, entries) {
+    var locals = [];
+    var centrals = [];
+    var offset = 0;
+
+    Object.keys(entries).forEach(function (name) {
+        var data = entries[name];
+        var method = name === 'resources.arsc' ? 0 : 8;
+        var compressed = method === 0 ? data : zlib.deflateRawSync(data);
+        var nameBuffer = Buffer.from(name);
+
+        var local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+
+        var central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        local.copy(central, 10, 8, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, compressed);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + compressed.length;
+    });
+
+    var centralDirectory = Buffer.concat(centrals);
+    var eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(entries).length, 8);
+    eocd.writeUInt16LE(Object.keys(entries).length, 10);
+    eocd.writeUInt32LE(centralDirectory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+
+    fs.writeFileSync(zipPath, Buffer.concat(locals.concat([centralDirectory, eocd])));
+};
+
+function chunk(type, header, body) {
+    var result = Buffer.alloc(8 + header.length + body.length);
+    result.writeUInt16LE(type, 0);
+    result.writeUInt16LE(8 + header.length, 2);
+    result.writeUInt32LE(result.length, 4);
+    header.copy(result, 8);
+    body.copy(result, 8 + header.length);
+    return result;
+}
+
+// XML nodes have line number and comment in their header
+function xmlNode(type, body) {
+    var header = Buffer.alloc(8);
+    header.writeUInt32LE(0xffffffff, 4);
+    return chunk(type, header, body);
+}
+
+function encodeStringPool(strings) {
+    var offsets = Buffer.alloc(strings.length * 4);
+    var data = [];
+    var length = 0;
+    strings.forEach(function (string, i) {
+        var encoded = Buffer.alloc(4 + string.length * 2);
+        encoded.writeUInt16LE(string.length, 0);
+        encoded.write(string, 2, 'utf16le');
+        offsets.writeUInt32LE(length, i * 4);
+        data.push(encoded);
+        length += encoded.length;
+    });
+    data.push(Buffer.alloc((4 - length % 4) % 4));
+
+    var header = Buffer.alloc(20);
+    header.writeUInt32LE(strings.length, 0);
+    header.writeUInt32LE(28 + offsets.length, 12);
+    return chunk(0x0001, header, Buffer.concat([offsets].concat(data)));
+}
+
+function crc32(data) {
+    var crc = 0xffffffff;
+    for (var i = 0; i < data.length; i++) {
+        crc ^= data[i];
+        for (var bit = 0; bit < 8; bit++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,89 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var EventEmitter = require('events').EventEmitter;
+
+var TEMPLATE_DIR = path.join(__dirname, '..', '..', '..');
+var FIXTURES_DIR = path.join(__dirname, '..', '..', 'fixtures');
+var PACKAGE_NAME = 'org.apache.cordova.test';
+
+/**
+ * Creates a cordova project with android platform in a temporary directory:
+ *   platform is created from the template, the same way bin/create does, and
+ *   fixture plugins are copied to project's plugins directory.
+ *
+ * @return  {Object}  Project with 'dir' (top-level project), 'root'
+ *   (platform root), 'plugins' (plugins directory) and 'remove' method.
+ */
+module.exports.create = function () {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cordova-android-'));
+    var root = path.join(dir, 'platforms', 'android');
+
+    shell.mkdir('-p', root, path.join(dir, 'www'));
+    shell.cp('-R', path.join(TEMPLATE_DIR, 'project', '*'), root);
+    shell.cp('-R', path.join(TEMPLATE_DIR, 'cordova'), root);
+    shell.cp('-R', path.join(FIXTURES_DIR, 'plugins'), dir);
+    fs.writeFileSync(path.join(dir, 'config.xml'), '<widget id="' + PACKAGE_NAME + '" version="1.0.0"></widget>\n');
+
+    replaceInFile(path.join(root, 'AndroidManifest.xml'), { __PACKAGE__: PACKAGE_NAME, __ACTIVITY__: 'MainActivity', __APILEVEL__: '23' });
+    replaceInFile(path.join(root, 'res', 'values', 'strings.xml'), { __NAME__: 'Test' });
+    var activityDir = path.join(root, 'src', PACKAGE_NAME.replace(/\./g, path.sep));
+    shell.mkdir('-p', activityDir);
+    shell.cp(path.join(root, 'Activity.java'), path.join(activityDir, 'MainActivity.java'));
+    shell.rm(path.join(root, 'Activity.java'));
+    replaceInFile(path.join(activityDir, 'MainActivity.java'), { __ID__: PACKAGE_NAME, __ACTIVITY__: 'MainActivity' });
+
+    // Platform scripts, copied out of the tree, should still find its modules
+    var modulesDir = path.dirname(path.dirname(require.resolve('cordova-common')));
+    fs.symlinkSync(modulesDir, path.join(root, 'node_modules'), 'dir');
+
+    return {
+        dir: dir,
+        root: root,
+        plugins: path.join(dir, 'plugins'),
+        remove: function () {
+            shell.rm('-rf', dir);
+        }
+    };
+};
+
+/**
+ * Constructs PlatformApi of the project, created by 'create'. Events are
+ *   emitted to a separate emitter, rather than printed.
+ *
+ * @param   {Object}  project  Project, returned by 'create'.
+ *
+ * @return  {Api}              PlatformApi instance.
+ */
+module.exports.getApi = function (project) {
+    var Api = require(path.join(project.root, 'cordova', 'Api'));
+    return new Api('android', project.root, new EventEmitter());
+};
+
+function replaceInFile(file, replacements) {
+    var content = fs.readFileSync(file, 'utf8');
+    Object.keys(replacements).forEach(function (token) {
+        content = content.split(token).join(replacements[token]);
+    });
+    fs.writeFileSync(file, content, 'utf8');
+}
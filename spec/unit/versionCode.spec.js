@@ -0,0 +1,197 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var shell = require('shelljs');
+var events = require('cordova-common').events;
+var versionCode = require('../../cordova/lib/versionCode');
+
+describe('versionCode', function () {
+    var manifest = { versionCode: '10203', minSdkVersion: '14' };
+
+    function buildOpts(values) {
+        var opts = { buildType: 'debug', buildMethod: 'gradle', extraArgs: [] };
+        Object.keys(values || {}).forEach(function (key) {
+            opts[key] = values[key];
+        });
+        return opts;
+    }
+
+    describe('apply', function () {
+        var dir;
+
+        beforeEach(function () {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'versionCode-'));
+        });
+
+        afterEach(function () {
+            shell.rm('-rf', dir);
+        });
+
+        it('should leave versionCode to build.gradle with semver strategy', function (done) {
+            var opts = buildOpts({ versionCodeStrategy: 'semver' });
+            versionCode.apply.call({ root: dir }, opts)
+            .then(function () {
+                expect(opts.versionCode).toBeUndefined();
+                expect(opts.extraArgs).toEqual([]);
+                expect(versionCode.compute(manifest, opts, 'universal')).toBe(102038);
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should compute versionCode from build time with timestamp strategy', function (done) {
+            spyOn(Date, 'now').and.returnValue(Date.UTC(2016, 0, 2));
+            var opts = buildOpts({ versionCodeStrategy: 'timestamp' });
+            versionCode.apply.call({ root: dir }, opts)
+            .then(function () {
+                expect(opts.versionCode).toBe('14400');
+                expect(opts.extraArgs).toEqual(['-PcdvVersionCode=14400']);
+                expect(versionCode.compute(manifest, opts, 'universal')).toBe(14400);
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should compute versionCode from the number of git commits with gitCount strategy', function (done) {
+            var git = 'git -c user.name=test -c user.email=test@example.com ';
+            shell.exec(git + 'init -q "' + dir + '"', { silent: true });
+            shell.exec(git + '-C "' + dir + '" commit -q --allow-empty -m first', { silent: true });
+            shell.exec(git + '-C "' + dir + '" commit -q --allow-empty -m second', { silent: true });
+
+            var opts = buildOpts({ versionCodeStrategy: 'gitCount' });
+            versionCode.apply.call({ root: dir }, opts)
+            .then(function () {
+                expect(opts.versionCode).toBe('20');
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should build separate APKs with ABI offsets with abi strategy', function (done) {
+            var opts = buildOpts({ versionCodeStrategy: 'abi' });
+            versionCode.apply.call({ root: dir }, opts)
+            .then(function () {
+                expect(opts.extraArgs).toEqual(['-PcdvBuildMultipleApks=true']);
+                expect(versionCode.getExpected(manifest, opts).map(function (artifact) {
+                    return artifact.abi + ':' + artifact.versionCode;
+                })).toEqual(['armeabi-v7a:102032', 'x86:102034', 'universal:102030']);
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should prefer explicit versionCode to strategy', function (done) {
+            var opts = buildOpts({ versionCodeStrategy: 'timestamp', versionCode: '42' });
+            versionCode.apply.call({ root: dir }, opts)
+            .then(function () {
+                expect(opts.versionCode).toBe('42');
+                expect(opts.extraArgs).toEqual([]);
+            })
+            .catch(fail)
+            .done(done);
+        });
+
+        it('should reject unknown strategies', function (done) {
+            versionCode.apply.call({ root: dir }, buildOpts({ versionCodeStrategy: 'random' }))
+            .then(function () {
+                fail('Expected promise to be rejected');
+            }, function (err) {
+                expect(err.message).toMatch(/Unknown versionCode strategy "random"/);
+            })
+            .done(done);
+        });
+    });
+
+    describe('forFlavor', function () {
+        it('should add ten times flavor\'s offset to explicit versionCode', function () {
+            var opts = buildOpts({ versionCode: '14400', extraArgs: ['-PcdvVersionCode=14400', '--stacktrace'] });
+            var flavorOpts = versionCode.forFlavor(opts, { name: 'free', versionCodeOffset: 3 });
+
+            expect(flavorOpts.versionCode).toBe('14430');
+            expect(flavorOpts.extraArgs).toEqual(['--stacktrace', '-PcdvVersionCode=14430']);
+            expect(opts.versionCode).toBe('14400');
+            expect(opts.extraArgs).toEqual(['-PcdvVersionCode=14400', '--stacktrace']);
+        });
+
+        it('should leave options as is if versionCode comes from manifest or flavor has no offset', function () {
+            var opts = buildOpts();
+            expect(versionCode.forFlavor(opts, { name: 'free', versionCodeOffset: 3 })).toBe(opts);
+            opts.versionCode = '14400';
+            expect(versionCode.forFlavor(opts, { name: 'free' })).toBe(opts);
+            expect(versionCode.forFlavor(opts, null)).toBe(opts);
+        });
+    });
+
+    describe('validate', function () {
+        function report(buildType, code) {
+            return {
+                buildType: buildType,
+                artifacts: [{ abi: 'universal', buildType: buildType, versionCode: code }]
+            };
+        }
+
+        function artifacts(buildType, code) {
+            return [{ abi: 'universal', buildType: buildType, versionCode: code }];
+        }
+
+        beforeEach(function () {
+            spyOn(events, 'emit');
+        });
+
+        it('should reject versionCodes, which exceed Google Play\'s limit', function () {
+            expect(function () {
+                versionCode.validate(artifacts('debug', versionCode.MAX_VERSION_CODE + 1), null, buildOpts());
+            }).toThrowError(/exceeds the maximum/);
+        });
+
+        it('should not compare versionCodes if strategy is not configured', function () {
+            var opts = buildOpts({ buildType: 'release' });
+            versionCode.validate(artifacts('release', 10), report('release', 20), opts);
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+
+        it('should reject decreased versionCodes of release builds', function () {
+            var opts = buildOpts({ buildType: 'release', versionCodeStrategy: 'semver' });
+            expect(function () {
+                versionCode.validate(artifacts('release', 10), report('release', 20), opts);
+            }).toThrowError(/is less than 20 of the last build/);
+        });
+
+        it('should only warn about decreased versionCodes of debug builds', function () {
+            var opts = buildOpts({ versionCodeStrategy: 'semver' });
+            versionCode.validate(artifacts('debug', 10), report('debug', 20), opts);
+            expect(events.emit).toHaveBeenCalledWith('warn', jasmine.stringMatching(/is less than 20 of the last build/));
+        });
+
+        it('should only compare versionCodes with the last build of the same type', function () {
+            var opts = buildOpts({ buildType: 'release', versionCodeStrategy: 'semver' });
+            versionCode.validate(artifacts('release', 10), report('debug', 20), opts);
+            expect(events.emit).not.toHaveBeenCalled();
+        });
+
+        it('should warn about the same versionCode of release builds', function () {
+            var opts = buildOpts({ buildType: 'release', versionCodeStrategy: 'semver' });
+            versionCode.validate(artifacts('release', 20), report('release', 20), opts);
+            expect(events.emit).toHaveBeenCalledWith('warn', jasmine.stringMatching(/is the same as of the last build/));
+        });
+    });
+});